@@ -1,6 +1,7 @@
 /**
  * Database Seeding Script
- * Loads foods from foods_mapped.csv into MongoDB
+ * Loads foods from foods_mapped.csv (with nutrients from food_nutrients.csv and prices from food_prices.csv),
+ * scoring rules from rule_matrix.csv, recipes from recipes.csv and advisory tips from advisory_rules.csv into MongoDB
  */
 
 import { MongoClient } from 'mongodb';
@@ -8,6 +9,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { parseCSVLine } from '../src/lib/csv.js';
+import { loadRulesFromCSV } from '../src/models/rules.js';
+import { loadRecipesFromCSV } from '../src/models/recipes.js';
+import { loadAdvisoryRulesFromCSV } from '../src/models/advisoryRules.js';
+import { foodGroup } from '../src/services/foodGroups.js';
+import { loadFoodPrices } from '../src/services/prices.js';
+import { loadFoodNutrients } from '../src/services/contraindications.js';
 
 dotenv.config();
 
@@ -36,6 +44,8 @@ async function seedDatabase() {
     const header = lines[0].split(',').map(h => h.replace(/"/g, '').trim());
     
     // Parse foods
+    const prices = loadFoodPrices();
+    const nutrients = loadFoodNutrients();
     const foods = [];
     for (let i = 1; i < lines.length; i++) {
       const line = lines[i];
@@ -69,9 +79,15 @@ async function seedDatabase() {
         fat_100g: parseFloat(food.fat_100g) || 0,
         notes: food.notes,
         source_id: food.source_id,
-        type: inferType(food.food_id),
+        type: foodGroup({ source_id: food.source_id, name: food.name }),
         created_at: new Date()
       };
+
+      // Sugar, sodium and potassium, for the data/contraindications.csv thresholds
+      Object.assign(transformed, nutrients.get(food.food_id));
+
+      // Price per kg by region (INR), used for budget planning
+      if (prices.has(food.food_id)) transformed.prices = prices.get(food.food_id);
       
       foods.push(transformed);
     }
@@ -87,6 +103,30 @@ async function seedDatabase() {
     await db.collection('foods').createIndex({ season: 1 });
     await db.collection('foods').createIndex({ type: 1 });
     
+    // Scoring rules for the rule interpreter
+    console.log('Loading rule matrix...');
+    await db.collection('rules').deleteMany({});
+    const rules = loadRulesFromCSV();
+    await db.collection('rules').insertMany(rules);
+    await db.collection('rules').createIndex({ rule_id: 1 }, { unique: true });
+    console.log(`Successfully inserted ${rules.length} rules`);
+    
+    // Recipes composed from the foods above
+    console.log('Loading recipes...');
+    await db.collection('recipes').deleteMany({});
+    const recipes = loadRecipesFromCSV();
+    await db.collection('recipes').insertMany(recipes);
+    await db.collection('recipes').createIndex({ recipe_id: 1 }, { unique: true });
+    console.log(`Successfully inserted ${recipes.length} recipes`);
+    
+    // Advisory tips, managed afterwards through /admin/advisory-rules
+    console.log('Loading advisory rules...');
+    await db.collection('advisory_rules').deleteMany({});
+    const advisoryRules = loadAdvisoryRulesFromCSV();
+    await db.collection('advisory_rules').insertMany(advisoryRules);
+    await db.collection('advisory_rules').createIndex({ rule_id: 1 }, { unique: true });
+    console.log(`Successfully inserted ${advisoryRules.length} advisory rules`);
+    
     console.log('Seeding complete!');
     
   } catch (error) {
@@ -97,48 +137,4 @@ async function seedDatabase() {
   }
 }
 
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      values.push(current.trim());
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  
-  values.push(current.trim());
-  return values;
-}
-
-function inferType(food_id) {
-  if (!food_id) return 'other';
-  const prefix = food_id.charAt(0).toUpperCase();
-  
-  const typeMap = {
-    'A': 'grain',
-    'B': 'legume',
-    'C': 'leafy_vegetable',
-    'D': 'vegetable',
-    'E': 'fruit',
-    'F': 'nut_seed',
-    'G': 'spice',
-    'H': 'root_vegetable',
-    'I': 'sweetener',
-    'J': 'sweetener',
-    'K': 'dairy',
-    'L': 'protein'
-  };
-  
-  return typeMap[prefix] || 'other';
-}
-
 seedDatabase();
@@ -1,25 +1,51 @@
 import { json } from '../lib/respond.js';
-import { generateAdvisory, generateQuickTip } from '../services/advisoryEngine.js';
+import { generateAdvisory, generateQuickTip, FEELINGS } from '../services/advisoryEngine.js';
+import { getAdvisoryRules } from '../models/advisoryRules.js';
+import { resolveLocale } from '../lib/locale.js';
+import { locationSchema, dateSchema, timezoneSchema } from '../lib/validate.js';
 import { z } from 'zod';
 
+const seedSchema = z.union([z.string().min(1).max(100), z.number()]).transform(String);
+const stepSchema = z.number().int().min(0).max(1000);
+
 const advisoryRequestSchema = z.object({
   profile: z.object({
     dosha_result: z.string().optional(),
     age_years: z.number().optional(),
     health_goals: z.array(z.string()).optional(),
     activity_level: z.string().optional(),
-    medical_conditions: z.array(z.string()).optional()
+    medical_conditions: z.array(z.string()).optional(),
+    location: locationSchema.optional()
   }).optional(),
   context: z.object({
     hour: z.number().optional(),
-    month: z.number().optional(),
-    userId: z.string().optional()
+    month: z.number().int().min(1).max(12).optional(),
+    // Date to advise for, and where, for the ritu; without date and hour, now in timezone
+    date: dateSchema.optional(),
+    timezone: timezoneSchema.optional(),
+    hemisphere: z.enum(['north', 'south']).optional(),
+    latitude: z.number().min(-90).max(90).optional(),
+    userId: z.string().optional(),
+    // How the user feels today; tips that help with it come first
+    feeling: z.enum(Object.keys(FEELINGS)).optional(),
+    // Tip selection: the same seed and date give the same tips (default seed: the user);
+    // each step moves on to the next tip
+    seed: seedSchema.optional(),
+    step: stepSchema.optional()
   }).optional()
 });
 
+const quickQuerySchema = z.object({
+  dosha: z.string().optional(),
+  seed: seedSchema.optional(),
+  date: dateSchema.optional(),
+  timezone: timezoneSchema.optional(),
+  step: z.coerce.number().pipe(stepSchema).optional()
+});
+
 /**
  * POST /api/advisory/generate
- * Generate comprehensive AI-powered advisory
+ * Generate comprehensive AI-powered advisory, in the Accept-Language locale
  */
 export async function generate(req, res, body, user) {
   const parsed = advisoryRequestSchema.safeParse(body);
@@ -35,7 +61,9 @@ export async function generate(req, res, body, user) {
   }
 
   try {
-    const advisory = await generateAdvisory({ profile, context });
+    const rules = await getAdvisoryRules();
+    const locale = resolveLocale(req.headers['accept-language']);
+    const advisory = await generateAdvisory({ profile, context, rules, locale });
     return json(res, 200, { success: true, advisory });
   } catch (error) {
     console.error('Advisory generation error:', error);
@@ -44,13 +72,20 @@ export async function generate(req, res, body, user) {
 }
 
 /**
- * GET /api/advisory/quick?dosha=Pitta
+ * GET /api/advisory/quick?dosha=Pitta&seed=&date=&timezone=&step=
  * Get quick tip (no auth required)
  */
 export async function quick(req, res, query) {
-  const dosha = query.dosha || 'Vata';
+  const parsed = quickQuerySchema.safeParse(query);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid request', details: parsed.error.flatten() });
+  }
+
+  const { dosha = 'Vata', ...selection } = parsed.data;
   try {
-    const tip = generateQuickTip(dosha);
+    const rules = await getAdvisoryRules();
+    const locale = resolveLocale(req.headers['accept-language']);
+    const tip = generateQuickTip(dosha, { ...selection, rules, locale });
     return json(res, 200, { success: true, ...tip });
   } catch (error) {
     console.error('Quick tip error:', error);
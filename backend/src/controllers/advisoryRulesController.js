@@ -0,0 +1,120 @@
+import { AdvisoryRules, seedAdvisoryRules } from '../models/advisoryRules.js';
+import { ADVISORY_CATEGORIES } from '../lib/constants.js';
+import { json } from '../lib/respond.js';
+import { isAdmin } from '../lib/auth.js';
+import { advisoryRuleSchema, advisoryRuleUpdateSchema } from '../lib/validate.js';
+
+/**
+ * GET /admin/advisory-rules?category=goal
+ * The advisory knowledge base, by rule_id
+ */
+export async function list(req, res, query, authUser) {
+  const denied = adminError(authUser);
+  if (denied) return json(res, denied.status, denied.body);
+  if (query.category && !ADVISORY_CATEGORIES.includes(query.category)) {
+    return json(res, 422, { error: `category must be one of ${ADVISORY_CATEGORIES.join(', ')}` });
+  }
+  try {
+    const items = await AdvisoryRules()
+      .find(query.category ? { category: query.category } : {})
+      .sort({ rule_id: 1 })
+      .toArray();
+    return json(res, 200, { items, count: items.length });
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to retrieve advisory rules' });
+  }
+}
+
+/**
+ * GET /admin/advisory-rules/:rule_id
+ */
+export async function getOne(req, res, ruleId, authUser) {
+  const denied = adminError(authUser);
+  if (denied) return json(res, denied.status, denied.body);
+  try {
+    const rule = await AdvisoryRules().findOne({ rule_id: ruleId });
+    if (!rule) {
+      return json(res, 404, { error: 'Advisory rule not found' });
+    }
+    return json(res, 200, rule);
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to retrieve advisory rule' });
+  }
+}
+
+/**
+ * POST /admin/advisory-rules
+ * Add a tip: { rule_id, category, conditions?, context?, priority?, text: { en, hi?, ... } }
+ */
+export async function create(req, res, body, authUser) {
+  const denied = adminError(authUser);
+  if (denied) return json(res, denied.status, denied.body);
+  const parsed = advisoryRuleSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid advisory rule', details: parsed.error.flatten() });
+  }
+
+  try {
+    await seedAdvisoryRules();
+    if (await AdvisoryRules().findOne({ rule_id: parsed.data.rule_id })) {
+      return json(res, 409, { error: `Advisory rule ${parsed.data.rule_id} already exists` });
+    }
+    const now = new Date();
+    const doc = { ...parsed.data, created_at: now, updated_at: now };
+    const { insertedId } = await AdvisoryRules().insertOne(doc);
+    return json(res, 201, { ...doc, _id: insertedId });
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to add advisory rule' });
+  }
+}
+
+/**
+ * PUT /admin/advisory-rules/:rule_id
+ * Change a tip; conditions and text are merged key by key, so { text: { ta } } only sets the Tamil text
+ */
+export async function update(req, res, ruleId, body, authUser) {
+  const denied = adminError(authUser);
+  if (denied) return json(res, denied.status, denied.body);
+  const parsed = advisoryRuleUpdateSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid advisory rule', details: parsed.error.flatten() });
+  }
+
+  const { conditions = {}, text = {}, ...fields } = parsed.data;
+  const $set = { ...fields, updated_at: new Date() };
+  Object.entries(conditions).forEach(([key, values]) => { $set[`conditions.${key}`] = values; });
+  Object.entries(text).forEach(([locale, value]) => { $set[`text.${locale}`] = value; });
+  try {
+    const rule = await AdvisoryRules().findOneAndUpdate({ rule_id: ruleId }, { $set }, { returnDocument: 'after' });
+    if (!rule) {
+      return json(res, 404, { error: 'Advisory rule not found' });
+    }
+    return json(res, 200, rule);
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to update advisory rule' });
+  }
+}
+
+/**
+ * DELETE /admin/advisory-rules/:rule_id
+ */
+export async function remove(req, res, ruleId, authUser) {
+  const denied = adminError(authUser);
+  if (denied) return json(res, denied.status, denied.body);
+  try {
+    const { deletedCount } = await AdvisoryRules().deleteOne({ rule_id: ruleId });
+    if (!deletedCount) {
+      return json(res, 404, { error: 'Advisory rule not found' });
+    }
+    return json(res, 200, { deleted: true, rule_id: ruleId });
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to delete advisory rule' });
+  }
+}
+
+// Only admins (see isAdmin) may manage the knowledge base
+function adminError(authUser) {
+  if (!authUser) return { status: 401, body: { error: 'Sign in as an admin to manage advisory rules' } };
+  if (!isAdmin(authUser)) return { status: 403, body: { error: 'Admin access required' } };
+  return null;
+}
@@ -1,12 +1,36 @@
 import { Foods } from '../models/foods.js';
 import { json } from '../lib/respond.js';
+import { findIncompatibilities } from '../services/compatibility.js';
+import { calculateFoodMacros } from '../services/nutrition.js';
+import { householdMeasure, measureUnits, rawGramsFromMeasure } from '../services/measures.js';
+import { normaliseSeason } from '../services/seasons.js';
+import { z } from 'zod';
+
+const compatibilitySchema = z.object({
+  food_ids: z.array(z.string()).min(2)
+});
+
+const measureSchema = z.object({
+  food_id: z.string(),
+  quantity: z.number().positive().max(1000),
+  unit: z.string()
+});
+
 export async function list(req, res) {
   const searchParams = new URLSearchParams(req.url.split('?')[1] || '');
-  const { dosha, season, q, type, page = '1', limit = '20' } = Object.fromEntries(searchParams);
+  const { dosha, season, hemisphere, lat, q, type, page = '1', limit = '20' } = Object.fromEntries(searchParams);
   
   const filter = {};
   if (dosha) filter['dosha_tags'] = dosha;
-  if (season) filter['season'] = season;
+  if (season) {
+    // A season, a ritu (season=vasanta) or season=current (with hemisphere= or lat=)
+    const wanted = normaliseSeason(season, { hemisphere, latitude: lat });
+    if (!wanted) {
+      return json(res, 422, { error: `Unknown season ${season}` });
+    }
+    // foods list their seasons ("winter,monsoon"); 'all' is in season year round
+    filter['season'] = { $regex: `(^|,)\\s*(${wanted}|all)\\s*(,|$)`, $options: 'i' };
+  }
   if (type) filter['type'] = type;
   
   let cursor = Foods().find(filter);
@@ -16,3 +40,55 @@ export async function list(req, res) {
   const items = await cursor.skip(skip).limit(parseInt(limit)).toArray();
   return json(res, 200, { items, page: Number(page) });
 }
+
+/**
+ * POST /foods/compatibility
+ * Check a list of food IDs for viruddha ahara (incompatible) combinations
+ */
+export async function compatibility(req, res, body) {
+  const parsed = compatibilitySchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'food_ids[] with at least two IDs required', details: parsed.error.flatten() });
+  }
+
+  const ids = [...new Set(parsed.data.food_ids)];
+  const foods = await Foods().find({ food_id: { $in: ids } }).toArray();
+  const found = new Set(foods.map((f) => f.food_id));
+  const conflicts = findIncompatibilities(foods);
+
+  return json(res, 200, {
+    compatible: !conflicts.some((c) => c.severity === 'avoid'),
+    conflicts,
+    unknown_ids: ids.filter((id) => !found.has(id))
+  });
+}
+
+/**
+ * POST /foods/measure
+ * Convert a household measure ("2 katori", "3 roti") into raw grams and macros, for logging intake
+ */
+export async function measure(req, res, body) {
+  const parsed = measureSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'food_id, quantity and unit required', details: parsed.error.flatten() });
+  }
+
+  const { food_id, quantity, unit } = parsed.data;
+  const food = await Foods().findOne({ food_id });
+  if (!food) {
+    return json(res, 404, { error: 'Food not found' });
+  }
+
+  const grams = rawGramsFromMeasure(food, quantity, unit);
+  if (grams === null) {
+    return json(res, 422, { error: `No ${unit} size for ${food.name}`, units: measureUnits(food) });
+  }
+  return json(res, 200, {
+    food_id,
+    name: food.name,
+    grams,
+    measure: householdMeasure(food, grams),
+    macros: calculateFoodMacros(food, grams),
+    units: measureUnits(food)
+  });
+}
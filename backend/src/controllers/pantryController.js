@@ -0,0 +1,122 @@
+import { Pantry } from '../models/pantry.js';
+import { Foods } from '../models/foods.js';
+import { json } from '../lib/respond.js';
+import { pantryItemSchema, pantryUpdateSchema } from '../lib/validate.js';
+import { ObjectId } from 'mongodb';
+
+/**
+ * GET /pantry
+ * The signed-in user's pantry, soonest expiry first
+ */
+export async function list(req, res, authUser) {
+  if (!authUser) {
+    return json(res, 401, { error: 'Sign in to use your pantry' });
+  }
+  try {
+    const items = await Pantry()
+      .find({ user_id: authUser.uid })
+      .sort({ expiry: 1, created_at: 1 })
+      .toArray();
+    return json(res, 200, { items });
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to retrieve pantry' });
+  }
+}
+
+/**
+ * POST /pantry
+ * Add a food the user has on hand: { food_id, quantity (raw grams), expiry? }
+ */
+export async function create(req, res, body, authUser) {
+  if (!authUser) {
+    return json(res, 401, { error: 'Sign in to use your pantry' });
+  }
+  const parsed = pantryItemSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid pantry item', details: parsed.error.flatten() });
+  }
+
+  try {
+    const food = await Foods().findOne({ food_id: parsed.data.food_id });
+    if (!food) {
+      return json(res, 422, { error: `Unknown food_id ${parsed.data.food_id}` });
+    }
+    const now = new Date();
+    const doc = {
+      user_id: authUser.uid,
+      food_id: food.food_id,
+      name: food.name,
+      quantity: parsed.data.quantity,
+      expiry: parsed.data.expiry ?? null,
+      created_at: now,
+      updated_at: now
+    };
+    const { insertedId } = await Pantry().insertOne(doc);
+    return json(res, 201, { ...doc, _id: insertedId });
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to add pantry item' });
+  }
+}
+
+/**
+ * PUT /pantry/:id
+ * Change an item's quantity or expiry
+ */
+export async function update(req, res, id, body, authUser) {
+  if (!authUser) {
+    return json(res, 401, { error: 'Sign in to use your pantry' });
+  }
+  const parsed = pantryUpdateSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid pantry item', details: parsed.error.flatten() });
+  }
+
+  let filter;
+  try {
+    filter = itemFilter(id, authUser);
+  } catch (error) {
+    return json(res, 400, { error: 'Invalid pantry item ID' });
+  }
+  try {
+    const item = await Pantry().findOneAndUpdate(
+      filter,
+      { $set: { ...parsed.data, updated_at: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!item) {
+      return json(res, 404, { error: 'Pantry item not found' });
+    }
+    return json(res, 200, item);
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to update pantry item' });
+  }
+}
+
+/**
+ * DELETE /pantry/:id
+ */
+export async function remove(req, res, id, authUser) {
+  if (!authUser) {
+    return json(res, 401, { error: 'Sign in to use your pantry' });
+  }
+  let filter;
+  try {
+    filter = itemFilter(id, authUser);
+  } catch (error) {
+    return json(res, 400, { error: 'Invalid pantry item ID' });
+  }
+  try {
+    const { deletedCount } = await Pantry().deleteOne(filter);
+    if (!deletedCount) {
+      return json(res, 404, { error: 'Pantry item not found' });
+    }
+    return json(res, 200, { deleted: true, id });
+  } catch (error) {
+    return json(res, 500, { error: 'Failed to delete pantry item' });
+  }
+}
+
+// Pantry items are only visible to their owner
+function itemFilter(id, authUser) {
+  return { _id: new ObjectId(id), user_id: authUser.uid };
+}
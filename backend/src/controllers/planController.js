@@ -1,40 +1,67 @@
 import { Plans } from '../models/plans.js';
 import { Foods } from '../models/foods.js';
-import { json } from '../lib/respond.js';
+import { getRules } from '../models/rules.js';
+import { getRecipes } from '../models/recipes.js';
+import { Pantry } from '../models/pantry.js';
+import { Users } from '../models/users.js';
+import { json, send } from '../lib/respond.js';
 import { buildPlan } from '../services/ruleEngine.js';
 import { calculateTargetCalories } from '../services/nutrition.js';
-import { planRequestSchema } from '../lib/validate.js';
+import { withRecipes } from '../services/recipes.js';
+import { buildGroceryList, exportGroceryList } from '../services/groceryList.js';
+import { findSlot, swapAlternatives, applySwap, locksFromPlan, nextRevision } from '../services/planEdits.js';
+import { planRequestSchema, swapRequestSchema, regenerateRequestSchema, groceryListQuerySchema } from '../lib/validate.js';
+import { localDate } from '../lib/dates.js';
 import { ObjectId } from 'mongodb';
 
 export async function generate(req, res, body, authUser) {
   try {
     // Validate request
     const validated = planRequestSchema.parse(body);
-    const { user_id, profile, plan_type, target_calories } = validated;
+    const { plan_type, target_calories, locks, mode, budget_per_day, region, date, timezone } = validated;
+    const planDate = date ?? localDate(timezone);
+    if (mode === 'pantry' && !authUser) {
+      return json(res, 401, { error: 'Sign in to plan from your pantry' });
+    }
+    const profile = await withSavedAssessments(validated.profile, authUser);
 
     // 1) compute target calories if missing
     const kcal = target_calories ?? calculateTargetCalories(profile);
 
-    // 2) load candidate foods from database
-    const foods = await Foods().find({}).toArray();
+    // 2) load candidate foods from database; recipes join them as dishes
+    const dbFoods = await Foods().find({}).toArray();
     
-    if (foods.length === 0) {
+    if (dbFoods.length === 0) {
       return json(res, 500, { error: 'No foods available in database. Please seed the database first.' });
     }
+    const foods = withRecipes(dbFoods, await getRecipes());
 
-    // 3) generate plan using rule engine
+    // 3) generate plan using rule engine (pantry mode plans around what the user has on hand)
+    const rules = await getRules();
+    const pantry = mode === 'pantry' ? await Pantry().find({ user_id: authUser.uid }).toArray() : null;
     const planData = buildPlan({ 
       profile, 
       foods, 
       plan_type, 
-      targetCalories: kcal 
+      targetCalories: kcal,
+      rules,
+      locks,
+      pantry,
+      region,
+      budgetPerDay: budget_per_day,
+      date: planDate
     });
 
     // 4) save to database
     const doc = {
-      user_id: user_id ?? authUser?.uid,
+      // The owner is always the signed-in caller; plans generated signed out have none
+      user_id: authUser?.uid,
       date_generated: new Date().toISOString().slice(0, 10),
+      // The day the plan starts (day 1), which sets its seasons and weekdays
+      plan_date: planDate,
+      timezone,
       plan_type,
+      mode,
       profile_snapshot: profile,
       ...planData,
       created_at: new Date()
@@ -58,10 +85,7 @@ export async function generate(req, res, body, authUser) {
 
 export async function getOne(req, res, id, authUser) {
   try {
-    const plan = await Plans().findOne({ 
-      _id: new ObjectId(id), 
-      user_id: authUser.uid 
-    });
+    const plan = await Plans().findOne(planFilter(id, authUser));
     
     if (!plan) {
       return json(res, 404, { error: 'Plan not found or access denied' });
@@ -74,6 +98,9 @@ export async function getOne(req, res, id, authUser) {
 }
 
 export async function listUserPlans(req, res, authUser) {
+  if (!authUser) {
+    return json(res, 401, { error: 'Sign in to list your plans' });
+  }
   try {
     const plans = await Plans()
       .find({ user_id: authUser.uid })
@@ -86,3 +113,207 @@ export async function listUserPlans(req, res, authUser) {
     return json(res, 500, { error: 'Failed to retrieve plans' });
   }
 }
+
+/**
+ * POST /dietplan/:id/swap
+ * Without food_id: the best alternatives for one item. With food_id: replace the
+ * item and append the change to the plan's revision history.
+ */
+export async function swap(req, res, id, body, authUser) {
+  const parsed = swapRequestSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid request', details: parsed.error.flatten() });
+  }
+  const { food_id, limit, ...slot } = parsed.data;
+  if (food_id && !authUser?.uid) {
+    return json(res, 401, { error: 'Sign in to edit your plans' });
+  }
+
+  let plan;
+  try {
+    plan = await Plans().findOne(food_id ? ownPlanFilter(id, authUser) : planFilter(id, authUser));
+  } catch (error) {
+    return json(res, 400, { error: 'Invalid plan ID' });
+  }
+  if (!plan) {
+    return json(res, 404, { error: 'Plan not found or access denied' });
+  }
+  if (!findSlot(plan, slot)) {
+    return json(res, 404, { error: 'No item at that day, meal_index and item_index' });
+  }
+
+  try {
+    const foods = withRecipes(await Foods().find({}).toArray(), await getRecipes());
+    const rules = await getRules();
+    if (!food_id) {
+      return json(res, 200, swapAlternatives(plan, slot, { foods, rules, limit }));
+    }
+
+    const result = applySwap(plan, slot, food_id, { foods, rules });
+    if (!result) {
+      return json(res, 422, { error: 'food_id is not an alternative for this item' });
+    }
+    const revision = { ...result.revision, created_at: new Date() };
+    await Plans().updateOne({ _id: plan._id }, { $set: result.changes, $push: { revisions: revision } });
+
+    return json(res, 200, {
+      id: plan._id,
+      ...plan,
+      ...result.changes,
+      revisions: [...(plan.revisions || []), revision],
+      _id: undefined
+    });
+  } catch (error) {
+    console.error('Plan swap error:', error);
+    return json(res, 500, { error: 'Failed to swap plan item' });
+  }
+}
+
+/**
+ * POST /dietplan/:id/regenerate
+ * Rebuild a saved plan around pinned meals and items, keeping its profile,
+ * plan type and calorie target, and record the change in its revision history.
+ */
+export async function regenerate(req, res, id, body, authUser) {
+  const parsed = regenerateRequestSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid request', details: parsed.error.flatten() });
+  }
+  if (!authUser?.uid) {
+    return json(res, 401, { error: 'Sign in to edit your plans' });
+  }
+
+  let plan;
+  try {
+    plan = await Plans().findOne(ownPlanFilter(id, authUser));
+  } catch (error) {
+    return json(res, 400, { error: 'Invalid plan ID' });
+  }
+  if (!plan) {
+    return json(res, 404, { error: 'Plan not found or access denied' });
+  }
+  const locks = locksFromPlan(plan, parsed.data.locks);
+  if (!locks) {
+    return json(res, 404, { error: 'A lock points at a day, meal or item that is not in the plan' });
+  }
+
+  try {
+    const foods = withRecipes(await Foods().find({}).toArray(), await getRecipes());
+    const rules = await getRules();
+    // Pantry plans are rebuilt around what the owner has on hand now
+    const pantry = plan.mode === 'pantry' ? await Pantry().find({ user_id: authUser.uid }).toArray() : null;
+    const planData = buildPlan({
+      profile: plan.profile_snapshot,
+      foods,
+      plan_type: plan.plan_type,
+      targetCalories: plan.target_calories,
+      rules,
+      locks,
+      pantry,
+      region: plan.estimated_cost?.region,
+      budgetPerDay: plan.estimated_cost?.budget_per_day,
+      date: plan.plan_date ?? plan.date_generated
+    });
+    const revision = {
+      revision: nextRevision(plan),
+      type: 'regenerate',
+      locks: parsed.data.locks,
+      created_at: new Date()
+    };
+    await Plans().updateOne({ _id: plan._id }, { $set: planData, $push: { revisions: revision } });
+
+    return json(res, 200, {
+      id: plan._id,
+      ...plan,
+      ...planData,
+      revisions: [...(plan.revisions || []), revision],
+      _id: undefined
+    });
+  } catch (error) {
+    // A pinned food that has left the catalogue or is now an allergen
+    if (error.code === 'INVALID_LOCK') {
+      return json(res, 422, { error: error.message });
+    }
+    console.error('Plan regeneration error:', error);
+    return json(res, 500, { error: 'Failed to regenerate plan' });
+  }
+}
+
+/**
+ * GET /dietplan/:id/grocery-list and GET /dietplan/grocery-list?ids=a,b (e.g. a week of daily plans)
+ * Every food's grams across the plans, grouped by type with purchase quantities;
+ * ?format=text|csv|md downloads the list instead of returning JSON.
+ */
+export async function groceryList(req, res, id, authUser) {
+  const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const parsed = groceryListQuerySchema.safeParse(query);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid request', details: parsed.error.flatten() });
+  }
+  const ids = id ? [id] : parsed.data.ids;
+  if (!ids) {
+    return json(res, 422, { error: 'ids query parameter is required' });
+  }
+
+  let plans;
+  try {
+    plans = await Plans().find(plansFilter(ids, authUser)).toArray();
+  } catch (error) {
+    return json(res, 400, { error: 'Invalid plan ID' });
+  }
+  if (plans.length !== ids.length) {
+    return json(res, 404, { error: 'Plan not found or access denied' });
+  }
+  // Keep the order the plans were asked for
+  plans.sort((a, b) => ids.indexOf(String(a._id)) - ids.indexOf(String(b._id)));
+
+  try {
+    const foods = await Foods().find({}).toArray();
+    const list = buildGroceryList(plans, { foodsById: new Map(foods.map((f) => [f.food_id, f])) });
+    if (parsed.data.format === 'json') return json(res, 200, list);
+
+    const { body, contentType, extension } = exportGroceryList(list, parsed.data.format);
+    return send(res, 200, body, contentType, `grocery-list.${extension}`);
+  } catch (error) {
+    console.error('Grocery list error:', error);
+    return json(res, 500, { error: 'Failed to build grocery list' });
+  }
+}
+
+// The signed-in user's saved quiz results (see quizController) for a profile that does not give its own
+async function withSavedAssessments(profile, authUser) {
+  if (!authUser?.uid) return profile;
+  let saved;
+  try {
+    saved = (await Users().findOne({ _id: new ObjectId(authUser.uid) }, { projection: { profile: 1 } }))?.profile;
+  } catch (error) {
+    console.error('Failed to load saved assessments:', error.message);
+    return profile;
+  }
+  const { prakriti, vikriti } = saved || {};
+  return {
+    ...(!profile.dosha_result && prakriti?.dosha_result && {
+      dosha_result: prakriti.dosha_result,
+      dosha_percentages: prakriti.percentages
+    }),
+    ...(!profile.vikriti_result && vikriti?.vikriti_result && {
+      vikriti_result: vikriti.vikriti_result,
+      vikriti_percentages: vikriti.percentages
+    }),
+    ...profile
+  };
+}
+
+// Plans with an owner are only visible to that user; plans generated without one can be read by anyone
+function planFilter(id, authUser) {
+  return { _id: new ObjectId(id), user_id: { $in: [authUser?.uid ?? null, null] } };
+}
+
+// Only the owner may change a plan, so anonymous plans are read-only
+function ownPlanFilter(id, authUser) {
+  return { _id: new ObjectId(id), user_id: authUser.uid };
+}
+
+function plansFilter(ids, authUser) {
+  return { _id: { $in: ids.map((id) => new ObjectId(id)) }, user_id: { $in: [authUser?.uid ?? null, null] } };
+}
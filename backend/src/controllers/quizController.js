@@ -1,10 +1,40 @@
 import { json } from '../lib/respond.js';
+import { Users } from '../models/users.js';
+import { vikritiAnswerSchema } from '../lib/validate.js';
+import { ObjectId } from 'mongodb';
+
+// Symptoms of current imbalance (vikriti), each pointing at the dosha it signals
+const VIKRITI_SYMPTOMS = {
+  constipation: { dosha: 'vata', label: 'Constipation or hard, dry stools' },
+  bloating: { dosha: 'vata', label: 'Gas and bloating' },
+  dry_skin: { dosha: 'vata', label: 'Dry skin, lips or hair' },
+  anxiety: { dosha: 'vata', label: 'Anxiety, worry or restlessness' },
+  insomnia: { dosha: 'vata', label: 'Difficulty falling or staying asleep' },
+  joint_pain: { dosha: 'vata', label: 'Stiff or cracking joints' },
+  irregular_appetite: { dosha: 'vata', label: 'Irregular appetite' },
+  acidity: { dosha: 'pitta', label: 'Acidity or heartburn' },
+  skin_inflammation: { dosha: 'pitta', label: 'Rashes, acne or skin inflammation' },
+  irritability: { dosha: 'pitta', label: 'Irritability, anger or impatience' },
+  excess_heat: { dosha: 'pitta', label: 'Feeling overheated or sweating excessively' },
+  loose_stools: { dosha: 'pitta', label: 'Loose or burning stools' },
+  intense_hunger: { dosha: 'pitta', label: 'Sharp hunger, irritable when meals are late' },
+  burning_eyes: { dosha: 'pitta', label: 'Red or burning eyes' },
+  congestion: { dosha: 'kapha', label: 'Congestion, mucus or sinus heaviness' },
+  lethargy: { dosha: 'kapha', label: 'Lethargy or dullness' },
+  weight_gain: { dosha: 'kapha', label: 'Recent weight gain' },
+  heavy_after_meals: { dosha: 'kapha', label: 'Heaviness after meals' },
+  oversleeping: { dosha: 'kapha', label: 'Sleeping too long, hard to wake' },
+  low_appetite: { dosha: 'kapha', label: 'Low or sluggish appetite' },
+  water_retention: { dosha: 'kapha', label: 'Swelling or water retention' }
+};
+
+const MAX_INTENSITY = 3;
 
 /**
  * Enhanced Prakriti Quiz Scoring Controller
  * Implements weighted scoring, secondary dosha detection, and comprehensive validation
  */
-export async function score(req, res, body) {
+export async function score(req, res, body, authUser) {
   const { answers = [] } = body || {};
   
   // Validation
@@ -75,6 +105,12 @@ export async function score(req, res, body) {
     else if (dominantPct > 45) balance = 'dominant';
     else if (dominantPct < 40 && secondary) balance = 'dual_constitution';
 
+    const saved = await saveToProfile(authUser, 'prakriti', {
+      dosha_result: constitution,
+      percentages,
+      assessed_at: new Date()
+    });
+
     // Return comprehensive result
     return json(res, 200, { 
       dosha_result: constitution,
@@ -87,7 +123,8 @@ export async function score(req, res, body) {
       total_questions: answers.length,
       weighted_total: totalWeight,
       timestamp: new Date().toISOString(),
-      recommendations: generateQuickRecommendations(dominant, secondary)
+      recommendations: generateQuickRecommendations(dominant, secondary),
+      saved_to_profile: saved
     });
   } catch (error) {
     console.error('Quiz scoring error:', error);
@@ -98,6 +135,128 @@ export async function score(req, res, body) {
   }
 }
 
+/**
+ * GET /quiz/vikriti
+ * Symptom questionnaire for the current imbalance
+ */
+export async function vikritiQuestions(req, res) {
+  const questions = Object.entries(VIKRITI_SYMPTOMS).map(([symptom, { dosha, label }]) => ({
+    symptom,
+    dosha: capitalize(dosha),
+    label
+  }));
+  return json(res, 200, { questions, scale: { min: 0, max: MAX_INTENSITY } });
+}
+
+/**
+ * POST /quiz/vikriti
+ * Scores current imbalance (vikriti) from symptom intensities (0-3).
+ * Unlike prakriti this changes over time, so plans pacify it first.
+ */
+export async function vikriti(req, res, body, authUser) {
+  const parsed = vikritiAnswerSchema.safeParse(body);
+  if (!parsed.success) {
+    return json(res, 422, { 
+      error: 'answers[] required',
+      message: 'Each answer needs a symptom and an intensity from 0 to 3',
+      details: parsed.error.flatten()
+    });
+  }
+
+  const unknown = parsed.data.answers.filter((a) => !VIKRITI_SYMPTOMS[a.symptom]).map((a) => a.symptom);
+  if (unknown.length > 0) {
+    return json(res, 422, { 
+      error: 'Unknown symptoms',
+      message: 'See GET /quiz/vikriti for the symptom list',
+      unknown
+    });
+  }
+
+  try {
+    const scores = { vata: 0, pitta: 0, kapha: 0 };
+    const aggravated = { vata: [], pitta: [], kapha: [] };
+
+    parsed.data.answers.forEach(({ symptom, intensity }) => {
+      const { dosha } = VIKRITI_SYMPTOMS[symptom];
+      scores[dosha] += intensity;
+      if (intensity > 0) aggravated[dosha].push(symptom);
+    });
+
+    const total = scores.vata + scores.pitta + scores.kapha;
+    const percentages = {
+      vata: total > 0 ? parseFloat(((scores.vata / total) * 100).toFixed(1)) : 0,
+      pitta: total > 0 ? parseFloat(((scores.pitta / total) * 100).toFixed(1)) : 0,
+      kapha: total > 0 ? parseFloat(((scores.kapha / total) * 100).toFixed(1)) : 0
+    };
+
+    const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [dominant, dominantScore] = sorted[0];
+    const secondary = sorted[1][1] > dominantScore * 0.7 ? sorted[1][0] : null;
+
+    // Severity: how much of the dominant dosha's symptom range is in use
+    const symptomCount = Object.values(VIKRITI_SYMPTOMS).filter((s) => s.dosha === dominant).length;
+    const load = dominantScore / (symptomCount * MAX_INTENSITY);
+    let severity = 'severe';
+    if (dominantScore === 0) severity = 'balanced';
+    else if (load < 0.15) severity = 'mild';
+    else if (load < 0.4) severity = 'moderate';
+
+    // No symptoms means no imbalance: plans fall back to prakriti
+    const vikritiResult = severity === 'balanced'
+      ? null
+      : [dominant, secondary].filter(Boolean).map(capitalize).join('-');
+
+    const saved = await saveToProfile(authUser, 'vikriti', {
+      vikriti_result: vikritiResult,
+      percentages,
+      severity,
+      assessed_at: new Date()
+    });
+
+    return json(res, 200, {
+      vikriti_result: vikritiResult,
+      primary_dosha: vikritiResult ? capitalize(dominant) : null,
+      secondary_dosha: secondary ? capitalize(secondary) : null,
+      score: scores,
+      percentages,
+      severity,
+      aggravated,
+      total_symptoms: parsed.data.answers.filter((a) => a.intensity > 0).length,
+      timestamp: new Date().toISOString(),
+      recommendations: vikritiResult ? generateQuickRecommendations(dominant, secondary) : [],
+      saved_to_profile: saved
+    });
+  } catch (error) {
+    console.error('Vikriti scoring error:', error);
+    return json(res, 500, { 
+      error: 'Scoring calculation failed',
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Store a quiz result on the signed-in user's profile (prakriti or vikriti).
+ * Anonymous quiz takers just get the result back.
+ */
+async function saveToProfile(authUser, field, result) {
+  if (!authUser?.uid) return false;
+  try {
+    await Users().updateOne(
+      { _id: new ObjectId(authUser.uid) },
+      { $set: { [`profile.${field}`]: result, updated_at: new Date() } }
+    );
+    return true;
+  } catch (error) {
+    console.error(`Failed to save ${field} to profile:`, error.message);
+    return false;
+  }
+}
+
+function capitalize(dosha) {
+  return dosha.charAt(0).toUpperCase() + dosha.slice(1);
+}
+
 /**
  * Generate quick recommendations based on dosha result
  */
@@ -0,0 +1,50 @@
+import { Foods } from '../models/foods.js';
+import { getRecipes } from '../models/recipes.js';
+import { json } from '../lib/respond.js';
+import { filterRecipes, recipeNutrition } from '../services/recipes.js';
+import { normaliseSeason, FOOD_SEASONS } from '../services/seasons.js';
+import { z } from 'zod';
+
+const recipeQuerySchema = z.object({
+  dosha: z.string().regex(/^(vata|pitta|kapha)(-(vata|pitta|kapha))*$/i).optional(),
+  // A season or ritu (season=hemanta), or season=current with hemisphere= or lat=
+  season: z.string().optional(),
+  hemisphere: z.enum(['north', 'south']).optional(),
+  lat: z.coerce.number().min(-90).max(90).optional()
+}).transform(({ season, hemisphere, lat, ...rest }) => ({
+  ...rest,
+  season: season && normaliseSeason(season, { hemisphere, latitude: lat })
+})).pipe(z.object({
+  dosha: z.string().optional(),
+  season: z.enum(FOOD_SEASONS).optional()
+}));
+
+/**
+ * GET /recipes?dosha=Vata&season=winter (or season=hemanta, season=current&lat=-33.9)
+ * Recipes that pacify the dosha (and aggravate none of it) and suit the season,
+ * each with nutrition per serving rolled up from its ingredients
+ */
+export async function list(req, res) {
+  const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  const parsed = recipeQuerySchema.safeParse(query);
+  if (!parsed.success) {
+    return json(res, 422, { error: 'Invalid filters', details: parsed.error.flatten() });
+  }
+
+  const recipes = filterRecipes(await getRecipes(), parsed.data);
+  const ids = [...new Set(recipes.flatMap((r) => [...r.ingredients, ...r.spices].map((i) => i.food_id)))];
+  const foods = await Foods().find({ food_id: { $in: ids } }).toArray();
+  const foodsById = new Map(foods.map((f) => [f.food_id, f]));
+
+  const items = recipes.map(({ _id, ...recipe }) => ({
+    ...recipe,
+    ingredients: withNames(recipe.ingredients, foodsById),
+    spices: withNames(recipe.spices, foodsById),
+    nutrition: recipeNutrition(recipe, foodsById)
+  }));
+  return json(res, 200, { items, count: items.length });
+}
+
+function withNames(parts, foodsById) {
+  return parts.map((part) => ({ ...part, name: foodsById.get(part.food_id)?.name || null }));
+}
@@ -12,3 +12,9 @@ export function requireAuth(req) {
   try { return { ok: true, user: jwt.verify(token, process.env.JWT_SECRET) }; }
   catch { return { ok: false, error: 'Invalid token' }; }
 }
+
+// Admins are the accounts listed in ADMIN_EMAILS (comma-separated)
+export function isAdmin(user) {
+  const admins = String(process.env.ADMIN_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean);
+  return Boolean(user?.email) && admins.includes(String(user.email).toLowerCase());
+}
@@ -0,0 +1,46 @@
+// Shared enums for validation, models and services; this module imports nothing
+
+// Seasons that foods, recipes and the rule matrix are tagged with
+export const FOOD_SEASONS = ['spring', 'summer', 'monsoon', 'autumn', 'winter'];
+
+// The six ritus in calendar order; start is [month, day] in the northern hemisphere
+export const RITUS = [
+  { id: 'shishira', name: 'Shishira', english: 'late winter', season: 'winter', start: [1, 15] },
+  { id: 'vasanta', name: 'Vasanta', english: 'spring', season: 'spring', start: [3, 15] },
+  { id: 'grishma', name: 'Grishma', english: 'summer', season: 'summer', start: [5, 15] },
+  { id: 'varsha', name: 'Varsha', english: 'monsoon', season: 'monsoon', start: [7, 15] },
+  { id: 'sharad', name: 'Sharad', english: 'autumn', season: 'autumn', start: [9, 15] },
+  { id: 'hemanta', name: 'Hemanta', english: 'early winter', season: 'winter', start: [11, 15] }
+];
+
+// Sections of an advisory a tip can fill
+export const ADVISORY_CATEGORIES = ['time', 'dosha', 'season', 'sandhi', 'goal', 'condition', 'pattern', 'wisdom'];
+// What a tip can be limited to; an empty list matches anyone
+export const ADVISORY_CONDITIONS = ['dosha', 'season', 'time_slot', 'goal', 'condition'];
+// A tip's context: the feeling it helps with, or for pattern tips the plan analysis it answers
+export const ADVISORY_CONTEXTS = ['general', 'stress', 'digestion', 'energy', 'diversity', 'balanced'];
+
+// Free-text spellings users send for the conditions in data/contraindications.csv
+const CONDITION_ALIASES = {
+  diabetic: 'diabetes',
+  type_2_diabetes: 'diabetes',
+  high_blood_pressure: 'hypertension',
+  bp: 'hypertension',
+  pcod: 'pcos',
+  thyroid: 'hypothyroidism',
+  hypothyroid: 'hypothyroidism',
+  acidity: 'gerd',
+  acid_reflux: 'gerd',
+  irritable_bowel_syndrome: 'ibs',
+  ckd: 'kidney_disease',
+  chronic_kidney_disease: 'kidney_disease',
+  high_uric_acid: 'gout',
+  cholesterol: 'high_cholesterol',
+  nafld: 'fatty_liver'
+};
+
+// "High Blood Pressure" -> "hypertension"
+export function normalizeCondition(condition) {
+  const key = String(condition || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return CONDITION_ALIASES[key] || key;
+}
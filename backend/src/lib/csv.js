@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = path.join(__dirname, '../../../data');
+
+const cache = new Map();
+
+// Split one CSV line, honouring double-quoted fields
+export function parseCSVLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  values.push(current.trim());
+  return values;
+}
+
+// Parse CSV text into row objects keyed by the header line
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (!lines.length) return [];
+  const header = parseCSVLine(lines[0]);
+  return lines.slice(1)
+    .map(parseCSVLine)
+    .filter((values) => values.length === header.length)
+    .map((values) => Object.fromEntries(header.map((key, idx) => [key, values[idx]])));
+}
+
+// Read and parse a file from the shared data/ directory (cached per process)
+export function readDataCSV(fileName) {
+  if (!cache.has(fileName)) {
+    cache.set(fileName, parseCSV(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf-8')));
+  }
+  return cache.get(fileName);
+}
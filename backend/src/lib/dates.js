@@ -0,0 +1,39 @@
+// Calendar dates are 'YYYY-MM-DD' strings; a timezone (IANA, e.g. 'Asia/Kolkata') decides
+// which date and hour "now" is for the user
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The calendar date in a timezone at an instant (default now, UTC)
+export function localDate(timeZone = 'UTC', at = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(at);
+}
+
+// The hour (0-23) in a timezone at an instant
+export function localHour(timeZone = 'UTC', at = new Date()) {
+  return Number(new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(at));
+}
+
+// 'YYYY-MM-DD' for a date string or a Date (its UTC date)
+export function toISODate(date) {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+export function addDays(isoDate, days) {
+  return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function weekdayOf(isoDate) {
+  return WEEKDAYS[new Date(Date.parse(isoDate)).getUTCDay()];
+}
@@ -0,0 +1,23 @@
+// Languages the frontend offers; localised text is { en, hi, ... } and falls back to English
+
+export const LOCALES = ['en', 'hi', 'mr', 'gu', 'bn', 'ta'];
+export const DEFAULT_LOCALE = 'en';
+
+// Best supported language in an Accept-Language header ('hi-IN,hi;q=0.9,en;q=0.8' -> 'hi')
+export function resolveLocale(header) {
+  const ranked = String(header || '').split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { locale: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ locale, q }) => q > 0 && LOCALES.includes(locale))
+    .sort((a, b) => b.q - a.q);
+  return ranked[0]?.locale || DEFAULT_LOCALE;
+}
+
+// Text in a locale, with {name} placeholders filled from values
+export function localise(text, locale = DEFAULT_LOCALE, values = {}) {
+  const template = text?.[locale] || text?.[DEFAULT_LOCALE] || '';
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
@@ -2,3 +2,11 @@ export function json(res, status, data) {
   res.writeHead(status, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(data));
 }
+
+// Non-JSON body (exports); a filename makes browsers download it
+export function send(res, status, body, contentType, filename) {
+  const headers = { 'Content-Type': contentType };
+  if (filename) headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+  res.writeHead(status, headers);
+  res.end(body);
+}
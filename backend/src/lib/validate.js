@@ -1,8 +1,33 @@
 import { z } from 'zod';
+import { isValidTimeZone } from './dates.js';
+import { LOCALES } from './locale.js';
+import { ADVISORY_CATEGORIES, ADVISORY_CONTEXTS, FOOD_SEASONS, RITUS, normalizeCondition } from './constants.js';
+
+// Calendar date (YYYY-MM-DD) and IANA timezone ('Asia/Kolkata')
+export const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/).refine((v) => !Number.isNaN(Date.parse(v)), 'Invalid date');
+export const timezoneSchema = z.string().refine(isValidTimeZone, 'Unknown timezone');
+
+// Dosha share from a quiz, e.g. { vata: 55, pitta: 35, kapha: 10 }
+const doshaPercentagesSchema = z.object({
+  vata: z.number().min(0).max(100).default(0),
+  pitta: z.number().min(0).max(100).default(0),
+  kapha: z.number().min(0).max(100).default(0)
+});
+
+// Where the user lives, for the ritu (season): southern-hemisphere seasons run six months later
+export const locationSchema = z.object({
+  hemisphere: z.enum(['north', 'south']).optional(),
+  latitude: z.number().min(-90).max(90).optional()
+});
 
 // User Profile Schema
 export const profileSchema = z.object({
   dosha_result: z.enum(['Vata', 'Pitta', 'Kapha', 'Vata-Pitta', 'Pitta-Kapha', 'Vata-Kapha']).optional(),
+  // Quiz `percentages`, used to weight dual-dosha scoring
+  dosha_percentages: doshaPercentagesSchema.optional(),
+  // Current imbalance from /quiz/vikriti; the plan pacifies this first
+  vikriti_result: z.enum(['Vata', 'Pitta', 'Kapha', 'Vata-Pitta', 'Pitta-Kapha', 'Vata-Kapha']).optional(),
+  vikriti_percentages: doshaPercentagesSchema.optional(),
   age_years: z.number().min(1).max(120).optional(),
   dob: z.string().optional(),
   sex: z.enum(['M', 'F', 'O']).optional(),
@@ -13,19 +38,80 @@ export const profileSchema = z.object({
   allergies: z.array(z.string()).optional(),
   preferences: z.object({
     liked: z.array(z.string()).optional(),
-    disliked: z.array(z.string()).optional()
+    disliked: z.array(z.string()).optional(),
+    liked_boost: z.number().min(0).max(10).optional(),
+    dislike_mode: z.enum(['exclude', 'penalize']).optional(),
+    favourite_guarantee: z.boolean().optional()
   }).optional(),
-  medical_conditions: z.array(z.string()).optional()
+  medical_conditions: z.array(z.string()).optional(),
+  diet_pref: z.enum(['non_vegetarian', 'eggetarian', 'vegetarian', 'vegan', 'jain', 'sattvic']).optional(),
+  location: locationSchema.optional()
+});
+
+// Pre-filled meal for plan generation: items are kept (at `grams` if given) and the
+// engine fills the rest of the meal; `complete` meals get nothing added
+const planLockSchema = z.object({
+  day: z.number().int().min(1).default(1),
+  meal_type: z.enum(['breakfast', 'lunch', 'snack', 'dinner']),
+  items: z.array(z.object({
+    food_id: z.string(),
+    grams: z.number().min(1).max(1000).optional()
+  })).default([]),
+  complete: z.boolean().default(false)
 });
 
 // Diet Plan Request Schema
 export const planRequestSchema = z.object({
-  user_id: z.string().optional(),
   profile: profileSchema,
   plan_type: z.enum(['daily', 'weekly', 'monthly']).default('daily'),
-  target_calories: z.number().min(800).max(5000).optional()
+  target_calories: z.number().min(800).max(5000).optional(),
+  locks: z.array(planLockSchema).default([]),
+  // 'pantry' plans around the signed-in user's pantry and lists what is missing
+  mode: z.enum(['standard', 'pantry']).default('standard'),
+  // Daily food budget (INR); foods over their share of it rank lower and get smaller portions
+  budget_per_day: z.number().positive().max(100000).optional(),
+  // Prices to use from data/food_prices.csv
+  region: z.enum(['national', 'north', 'south', 'east', 'west']).default('national'),
+  // Day 1 of the plan; defaults to today in `timezone`
+  date: dateSchema.optional(),
+  timezone: timezoneSchema.default('UTC')
+});
+
+// Plan Item Swap Schema: without food_id the alternatives are listed, with it the swap is saved
+export const swapRequestSchema = z.object({
+  day: z.number().int().min(1).default(1),
+  meal_index: z.number().int().min(0),
+  item_index: z.number().int().min(0),
+  food_id: z.string().optional(),
+  limit: z.number().int().min(1).max(20).default(5)
+});
+
+// Partial Regeneration Schema: pin whole meals (no item_index) or single items of a saved plan
+export const regenerateRequestSchema = z.object({
+  locks: z.array(z.object({
+    day: z.number().int().min(1).default(1),
+    meal_index: z.number().int().min(0),
+    item_index: z.number().int().min(0).optional()
+  })).default([])
+});
+
+// Grocery List Query: one plan by id in the path, or several (e.g. a week of daily plans) by ?ids=a,b
+export const groceryListQuerySchema = z.object({
+  format: z.enum(['json', 'text', 'csv', 'md']).default('json'),
+  ids: z.string().transform((v) => [...new Set(v.split(',').map((id) => id.trim()).filter(Boolean))])
+    .pipe(z.array(z.string().regex(/^[a-f0-9]{24}$/i)).min(1).max(31))
+    .optional()
 });
 
+// Pantry Item Schema: quantity is raw grams; expiry is a YYYY-MM-DD date
+export const pantryItemSchema = z.object({
+  food_id: z.string(),
+  quantity: z.number().positive().max(100000),
+  expiry: dateSchema.nullable().optional()
+});
+
+export const pantryUpdateSchema = pantryItemSchema.omit({ food_id: true }).partial();
+
 // Quiz Answer Schema
 export const quizAnswerSchema = z.object({
   answers: z.array(z.object({
@@ -36,6 +122,14 @@ export const quizAnswerSchema = z.object({
   })).min(1)
 });
 
+// Vikriti (symptom) Answer Schema
+export const vikritiAnswerSchema = z.object({
+  answers: z.array(z.object({
+    symptom: z.string(),
+    intensity: z.number().min(0).max(3)
+  })).min(1)
+});
+
 // Food Query Schema
 export const foodQuerySchema = z.object({
   dosha: z.enum(['Vata', 'Pitta', 'Kapha', 'Balancing']).optional(),
@@ -55,3 +149,36 @@ export function validate(schema) {
     return result.data;
   };
 }
+
+// Advisory Tip Schema: conditions limit who gets a tip (an empty list matches anyone);
+// season takes food seasons or ritu ids. Text is per language and needs English.
+const advisoryConditionsSchema = z.object({
+  dosha: z.array(z.enum(['Vata', 'Pitta', 'Kapha'])),
+  season: z.array(z.enum([...FOOD_SEASONS, ...RITUS.map((r) => r.id)])),
+  time_slot: z.array(z.enum(['morning', 'afternoon', 'evening', 'night'])),
+  goal: z.array(z.string().min(1)),
+  condition: z.array(z.string().min(1).transform(normalizeCondition))
+});
+const advisoryTextSchema = z.object(Object.fromEntries(LOCALES.map((locale) => [locale, z.string().trim().min(1).max(500)])));
+const advisoryRuleFields = {
+  category: z.enum(ADVISORY_CATEGORIES),
+  context: z.enum(ADVISORY_CONTEXTS).nullable(),
+  priority: z.enum(['high', 'medium', 'low'])
+};
+
+export const advisoryRuleSchema = z.object({
+  rule_id: z.string().regex(/^[a-z0-9_-]+$/i).max(64),
+  ...advisoryRuleFields,
+  conditions: advisoryConditionsSchema.partial().default({})
+    .transform((conditions) => ({ dosha: [], season: [], time_slot: [], goal: [], condition: [], ...conditions })),
+  context: advisoryRuleFields.context.default(null),
+  priority: advisoryRuleFields.priority.default('medium'),
+  text: advisoryTextSchema.partial().required({ en: true })
+});
+
+// Updates change only the fields, conditions and languages they name
+export const advisoryRuleUpdateSchema = z.object({
+  ...advisoryRuleFields,
+  conditions: advisoryConditionsSchema.partial(),
+  text: advisoryTextSchema.partial()
+}).partial();
@@ -0,0 +1,43 @@
+import { getDB } from '../lib/db.js';
+import { readDataCSV } from '../lib/csv.js';
+import { LOCALES } from '../lib/locale.js';
+import { ADVISORY_CONDITIONS } from '../lib/constants.js';
+
+export function AdvisoryRules() {
+  return getDB().collection('advisory_rules');
+}
+
+// Load tips from advisory_rules.csv; condition lists are "|"-separated and text is one text_<locale> column per language
+export function loadAdvisoryRulesFromCSV() {
+  return readDataCSV('advisory_rules.csv').map((row) => ({
+    rule_id: row.rule_id,
+    category: row.category,
+    conditions: Object.fromEntries(ADVISORY_CONDITIONS.map((key) => [key, splitList(row[key])])),
+    context: row.context || null,
+    priority: row.priority || 'medium',
+    text: Object.fromEntries(LOCALES.filter((locale) => row[`text_${locale}`]).map((locale) => [locale, row[`text_${locale}`]]))
+  }));
+}
+
+// Prefer the advisory_rules collection, fall back to the CSV while it is empty or unreachable
+export async function getAdvisoryRules() {
+  try {
+    const rules = await AdvisoryRules().find({}).toArray();
+    if (rules.length) return rules;
+  } catch (error) {
+    console.warn('Advisory rules collection unavailable, using advisory_rules.csv:', error.message);
+  }
+  return loadAdvisoryRulesFromCSV();
+}
+
+// Copy the CSV tips into an empty collection, so the first admin edit adds to them instead of replacing them
+export async function seedAdvisoryRules() {
+  if (await AdvisoryRules().countDocuments({}, { limit: 1 })) return 0;
+  const rules = loadAdvisoryRulesFromCSV();
+  await AdvisoryRules().insertMany(rules);
+  return rules.length;
+}
+
+function splitList(value) {
+  return String(value || '').split('|').map((s) => s.trim()).filter(Boolean);
+}
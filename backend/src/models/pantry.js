@@ -0,0 +1,2 @@
+import { getDB } from '../lib/db.js';
+export function Pantry() { return getDB().collection('pantry'); }
@@ -0,0 +1,53 @@
+import { getDB } from '../lib/db.js';
+import { readDataCSV } from '../lib/csv.js';
+
+export function Recipes() {
+  return getDB().collection('recipes');
+}
+
+// Load recipes from recipes.csv; ingredient and spice lists are "food_id:grams" per serving
+export function loadRecipesFromCSV() {
+  return readDataCSV('recipes.csv').map((row) => ({
+    recipe_id: row.recipe_id,
+    name: row.name,
+    type: row.type,
+    meal_types: splitList(row.meal_types, '|'),
+    ingredients: parseAmounts(row.ingredients),
+    spices: parseAmounts(row.spices),
+    method: row.method,
+    instructions: row.instructions,
+    dosha_notes: row.dosha_notes,
+    pacifies: splitList(row.pacifies, ','),
+    aggravates: splitList(row.aggravates, ','),
+    tastes: row.tastes,
+    qualities: row.qualities,
+    energy: row.energy,
+    season: splitList(row.season, '|'),
+    unit: row.unit || 'katori',
+    units_per_serving: Number(row.units_per_serving) || 1,
+    serving_grams: Number(row.serving_grams) || null
+  }));
+}
+
+// Prefer the recipes collection, fall back to the CSV
+export async function getRecipes() {
+  try {
+    const recipes = await Recipes().find({}).toArray();
+    if (recipes.length) return recipes;
+  } catch (error) {
+    console.warn('Recipes collection unavailable, using recipes.csv:', error.message);
+  }
+  return loadRecipesFromCSV();
+}
+
+function splitList(value, separator) {
+  return String(value || '').split(separator).map((s) => s.trim()).filter(Boolean);
+}
+
+// "f_016:40|f_035:30" -> [{ food_id: 'f_016', grams: 40 }, { food_id: 'f_035', grams: 30 }]
+function parseAmounts(value) {
+  return splitList(value, '|').map((part) => {
+    const [food_id, grams] = part.split(':');
+    return { food_id: food_id.trim(), grams: Number(grams) || 0 };
+  });
+}
@@ -1,21 +1,32 @@
 import { getDB } from '../lib/db.js';
+import { readDataCSV } from '../lib/csv.js';
 
 export function Rules() { 
   return getDB().collection('rules'); 
 }
 
-// Load rules from rule_matrix.csv into MongoDB
-export async function loadRulesFromCSV() {
-  const fs = require('fs');
-  const path = require('path');
-  const csvPath = path.join(__dirname, '../../../data/rule_matrix.csv');
-  
-  // This is a stub - in production, parse CSV and insert
-  // For now, return hardcoded rules matching the Python implementation
-  return [
-    { rule_id: 1, priority: 1, category: 'dosha', attribute: 'dosha_tags', operator: 'contains', value: 'Vata', score_adjustment: -1 },
-    { rule_id: 2, priority: 1, category: 'dosha', attribute: 'dosha_tags', operator: 'contains', value: 'Pitta', score_adjustment: -1 },
-    { rule_id: 3, priority: 1, category: 'dosha', attribute: 'dosha_tags', operator: 'contains', value: 'Kapha', score_adjustment: -1 },
-    { rule_id: 4, priority: 1, category: 'dosha', attribute: 'dosha_tags', operator: 'contains', value: 'Balancing', score_adjustment: 1 }
-  ];
+// Load rules from rule_matrix.csv, typed for the rule interpreter
+export function loadRulesFromCSV() {
+  return readDataCSV('rule_matrix.csv').map((row) => ({
+    rule_id: Number(row.rule_id),
+    priority: Number(row.priority) || 1,
+    category: row.category,
+    attribute: row.attribute,
+    operator: row.operator,
+    value: row.value,
+    score_adjustment: Number(row.score_adjustment) || 0,
+    description: row.description,
+    applies_when: row.applies_when || ''
+  }));
+}
+
+// Prefer the rules collection (editable without a deploy), fall back to the CSV
+export async function getRules() {
+  try {
+    const rules = await Rules().find({}).toArray();
+    if (rules.length) return rules;
+  } catch (error) {
+    console.warn('Rules collection unavailable, using rule_matrix.csv:', error.message);
+  }
+  return loadRulesFromCSV();
 }
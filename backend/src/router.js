@@ -5,7 +5,10 @@ import * as Auth from './controllers/authController.js';
 import * as Quiz from './controllers/quizController.js';
 import * as Foods from './controllers/foodsController.js';
 import * as Plan from './controllers/planController.js';
+import * as Recipes from './controllers/recipesController.js';
+import * as Pantry from './controllers/pantryController.js';
 import * as Advisory from './controllers/advisoryController.js';
+import * as AdvisoryRules from './controllers/advisoryRulesController.js';
 
 export async function route(req, res) {
   // CORS handled in server.js
@@ -16,8 +19,13 @@ export async function route(req, res) {
     // Public routes
     if (method === 'POST' && url === '/users/register') return Auth.register(req, res, await parseJSON(req));
     if (method === 'POST' && url === '/auth/login')     return Auth.login(req, res, await parseJSON(req));
-    if (method === 'POST' && url === '/quiz/prakriti')  return Quiz.score(req, res, await parseJSON(req));
+    if (method === 'POST' && url === '/quiz/prakriti')  return Quiz.score(req, res, await parseJSON(req), optionalUser(req));
+    if (method === 'GET'  && url === '/quiz/vikriti')   return Quiz.vikritiQuestions(req, res);
+    if (method === 'POST' && url === '/quiz/vikriti')   return Quiz.vikriti(req, res, await parseJSON(req), optionalUser(req));
+    if (method === 'POST' && url === '/foods/compatibility') return Foods.compatibility(req, res, await parseJSON(req));
+    if (method === 'POST' && url === '/foods/measure')  return Foods.measure(req, res, await parseJSON(req));
     if (method === 'GET'  && url.startsWith('/foods'))  return Foods.list(req, res);
+    if (method === 'GET'  && /^\/recipes(\?|$)/.test(url)) return Recipes.list(req, res);
 
     // Advisory routes (public)
     if (method === 'GET' && url.startsWith('/api/advisory/quick')) {
@@ -26,21 +34,65 @@ export async function route(req, res) {
     }
     if (method === 'POST' && url === '/api/advisory/generate') {
       const body = await parseJSON(req);
-      return Advisory.generate(req, res, body, null);
+      return Advisory.generate(req, res, body, optionalUser(req));
     }
 
     // Diet Plans (now public - no auth required)
     if (url === '/dietplan/generate' && method === 'POST') {
-      return Plan.generate(req, res, await parseJSON(req), null);
+      return Plan.generate(req, res, await parseJSON(req), optionalUser(req));
     }
     
     if (url === '/dietplan/list' && method === 'GET') {
-      return Plan.listUserPlans(req, res, null);
+      return Plan.listUserPlans(req, res, optionalUser(req));
+    }
+
+    if (/^\/dietplan\/[^/]+\/swap$/.test(url) && method === 'POST') {
+      const id = url.split('/')[2];
+      return Plan.swap(req, res, id, await parseJSON(req), optionalUser(req));
+    }
+
+    if (/^\/dietplan\/grocery-list(\?|$)/.test(url) && method === 'GET') {
+      return Plan.groceryList(req, res, null, optionalUser(req));
+    }
+
+    if (/^\/dietplan\/[^/]+\/grocery-list(\?|$)/.test(url) && method === 'GET') {
+      const id = url.split('/')[2];
+      return Plan.groceryList(req, res, id, optionalUser(req));
+    }
+
+    if (/^\/dietplan\/[^/]+\/regenerate$/.test(url) && method === 'POST') {
+      const id = url.split('/')[2];
+      return Plan.regenerate(req, res, id, await parseJSON(req), optionalUser(req));
     }
     
     if (url.startsWith('/dietplan/') && method === 'GET') {
       const id = url.split('/')[2]; 
-      return Plan.getOne(req, res, id, null);
+      return Plan.getOne(req, res, id, optionalUser(req));
+    }
+
+    // Pantry (signed-in users)
+    if (url === '/pantry' && method === 'GET')  return Pantry.list(req, res, optionalUser(req));
+    if (url === '/pantry' && method === 'POST') return Pantry.create(req, res, await parseJSON(req), optionalUser(req));
+    if (/^\/pantry\/[^/]+$/.test(url) && method === 'PUT') {
+      return Pantry.update(req, res, url.split('/')[2], await parseJSON(req), optionalUser(req));
+    }
+    if (/^\/pantry\/[^/]+$/.test(url) && method === 'DELETE') {
+      return Pantry.remove(req, res, url.split('/')[2], optionalUser(req));
+    }
+
+    // Advisory knowledge base (admins)
+    if (/^\/admin\/advisory-rules(\?|$)/.test(url) && method === 'GET') {
+      const query = new URL(url, 'http://localhost').searchParams;
+      return AdvisoryRules.list(req, res, Object.fromEntries(query), optionalUser(req));
+    }
+    if (url === '/admin/advisory-rules' && method === 'POST') {
+      return AdvisoryRules.create(req, res, await parseJSON(req), optionalUser(req));
+    }
+    if (/^\/admin\/advisory-rules\/[^/?]+$/.test(url)) {
+      const ruleId = decodeURIComponent(url.split('/')[3]);
+      if (method === 'GET') return AdvisoryRules.getOne(req, res, ruleId, optionalUser(req));
+      if (method === 'PUT') return AdvisoryRules.update(req, res, ruleId, await parseJSON(req), optionalUser(req));
+      if (method === 'DELETE') return AdvisoryRules.remove(req, res, ruleId, optionalUser(req));
     }
 
     // Health check
@@ -73,3 +125,9 @@ export async function route(req, res) {
     return json(res, 400, { error: e.message || 'Bad Request' });
   }
 }
+
+// Signed-in user if a valid token was sent, otherwise null (route stays public)
+function optionalUser(req) {
+  const auth = requireAuth(req);
+  return auth.ok ? auth.user : null;
+}
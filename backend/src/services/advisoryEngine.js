@@ -1,214 +1,161 @@
 /**
  * InferFlow Advisory Engine
  * Context-aware Ayurvedic wellness recommendations
+ *
+ * Tips come from the advisory_rules knowledge base (see models/advisoryRules.js):
+ * each has a category (the section of the advisory it fills), conditions it is
+ * limited to, a priority and its text per language.
+ *
+ * Every tip whose conditions match the user is a candidate. The advisory has a slot
+ * per section (time of day, dosha, season, each goal, each medical condition, recent
+ * plans, wisdom); a slot takes its most relevant tip, relevance being what the tip
+ * was matched on (see MATCH_WEIGHTS) - a condition-specific tip beats a general one,
+ * and a tip for the way the user says they feel beats the rest. The slots are then
+ * ranked by relevance plus priority, and each recommendation says why it was chosen.
+ *
+ * Among equally relevant tips the choice is by seed, not at random: each pool of
+ * tips (the morning tips, the Pitta tips, ...) starts at an offset hashed from the
+ * seed and moves on one tip a day, so a seed and date always give the same advice.
+ * A pool's most relevant tip, when it is the only one, is given every other day and
+ * the next most relevant tips take turns in between; and the days around the date
+ * are replayed, so a tip given yesterday is stepped past even when the pool has
+ * changed since. No section repeats a tip on consecutive days unless it has no other tip,
+ * in which case it is left out every other day. The seed defaults to the user
+ * ('anonymous' without one); `step` walks every pool the other way round, e.g. for
+ * a "next tip" button.
  */
 
-import { Foods } from '../models/foods.js';
 import { Plans } from '../models/plans.js';
+import { loadAdvisoryRulesFromCSV } from '../models/advisoryRules.js';
+import { ADVISORY_CONDITIONS, normalizeCondition } from '../lib/constants.js';
+import { getRitu, rituById } from './seasons.js';
+import { localDate, localHour, weekdayOf, addDays } from '../lib/dates.js';
+import { localise, DEFAULT_LOCALE } from '../lib/locale.js';
 
-// Knowledge base of Ayurvedic wisdom
-const ADVISORY_RULES = {
-  // Time-based recommendations
-  timeOfDay: {
-    morning: [
-      { priority: 'high', tip: 'Start your day with warm water and lemon to kindle Agni (digestive fire).' },
-      { priority: 'medium', tip: 'Practice oil pulling with sesame or coconut oil for oral health.' },
-      { priority: 'low', tip: 'Gentle yoga or stretching helps balance morning Vata energy.' }
-    ],
-    afternoon: [
-      { priority: 'high', tip: 'Lunch should be your largest meal when Agni is strongest (12-2 PM).' },
-      { priority: 'medium', tip: 'Take a short walk after eating to aid digestion.' },
-      { priority: 'low', tip: 'Avoid cold drinks with meals—they dampen digestive fire.' }
-    ],
-    evening: [
-      { priority: 'high', tip: 'Eat dinner before sunset for optimal digestion and sleep.' },
-      { priority: 'medium', tip: 'Wind down with calming herbal tea like chamomile or brahmi.' },
-      { priority: 'low', tip: 'Light evening walks support digestion without overstimulation.' }
-    ],
-    night: [
-      { priority: 'high', tip: 'Avoid eating 2-3 hours before bed to prevent Ama formation.' },
-      { priority: 'medium', tip: 'Warm milk with nutmeg or ashwagandha promotes restful sleep.' },
-      { priority: 'low', tip: 'Practice deep breathing or meditation before sleep.' }
-    ]
-  },
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECOMMENDATIONS = 5;
+// Days before the date replayed to find the tips given yesterday
+const ROTATION_LOOKBACK = 2;
 
-  // Dosha-specific guidance
-  dosha: {
-    Vata: [
-      { context: 'general', tip: 'Favor warm, moist, grounding foods to balance Vata\'s cold, dry nature.' },
-      { context: 'stress', tip: 'Vata types need regular routines—eat meals at consistent times.' },
-      { context: 'digestion', tip: 'Cook all foods for Vata; raw foods can aggravate delicate digestion.' },
-      { context: 'energy', tip: 'Combat Vata fatigue with nourishing fats like ghee and sesame oil.' }
-    ],
-    Pitta: [
-      { context: 'general', tip: 'Choose cooling, bitter, and astringent foods to calm Pitta heat.' },
-      { context: 'stress', tip: 'Avoid spicy, acidic foods when feeling irritable or overheated.' },
-      { context: 'digestion', tip: 'Pitta\'s strong Agni can handle raw foods but needs moderation.' },
-      { context: 'energy', tip: 'Take breaks to avoid burnout—Pitta types tend to overwork.' }
-    ],
-    Kapha: [
-      { context: 'general', tip: 'Light, dry, warming foods help counter Kapha heaviness.' },
-      { context: 'stress', tip: 'Kapha benefits from pungent spices like ginger, black pepper, turmeric.' },
-      { context: 'digestion', tip: 'Skip breakfast if not hungry—Kapha digestion is slowest in morning.' },
-      { context: 'energy', tip: 'Regular vigorous exercise is essential to stimulate Kapha metabolism.' }
-    ]
-  },
+// How the user says they feel, and the tip context that helps with it
+export const FEELINGS = { fine: 'general', stressed: 'stress', bloated: 'digestion', tired: 'energy' };
 
-  // Seasonal wisdom
-  seasonal: {
-    spring: [
-      'Spring aggravates Kapha—favor light, bitter greens and reduce heavy, oily foods.',
-      'Enjoy seasonal sprouts, berries, and fresh herbs to cleanse winter accumulation.',
-      'Dry brushing and invigorating exercise help move stagnant Kapha energy.'
-    ],
-    summer: [
-      'Summer increases Pitta—stay cool with cucumber, coconut, mint, and avoid heating spices.',
-      'Favor sweet, bitter, astringent tastes and hydrate with cooling infusions.',
-      'Avoid midday sun; practice moon bathing or evening walks for balance.'
-    ],
-    monsoon: [
-      'Monsoon weakens Agni—use warming spices and avoid raw salads.',
-      'Boost digestion with ginger, cumin, and hing in every meal.',
-      'Keep feet dry and avoid damp environments to prevent fungal issues.'
-    ],
-    autumn: [
-      'Autumn aggravates Vata—ground with warm soups, root vegetables, and healthy fats.',
-      'Oil massage (Abhyanga) with sesame oil calms Vata\'s dry, mobile nature.',
-      'Favor sweet, sour, salty tastes; establish consistent daily routines.'
-    ],
-    winter: [
-      'Winter supports Agni—this is the best time for heavier, nourishing foods.',
-      'Build strength with nutrient-dense foods: ghee, nuts, dates, and grains.',
-      'Stay warm, sleep early, and enjoy warming spices like cinnamon and cardamom.'
-    ]
-  },
-
-  // Goal-specific advice
-  goals: {
-    weight_loss: [
-      'Drink warm water throughout the day to boost metabolism and flush toxins.',
-      'Favor high-protein, low-calorie foods and reduce sweet, oily items.',
-      'Practice mindful eating—chew thoroughly and stop at 75% full.'
-    ],
-    weight_gain: [
-      'Include healthy fats like ghee, nuts, and avocado in every meal.',
-      'Eat calorie-dense foods with sweet, sour, and salty tastes.',
-      'Rest after meals to support absorption and weight gain.'
-    ],
-    muscle_gain: [
-      'Prioritize protein-rich foods like lentils, paneer, and almonds.',
-      'Combine strength training with nourishing, building foods.',
-      'Ensure adequate rest and recovery between workouts.'
-    ],
-    digestion: [
-      'Eat only when truly hungry—respect your body\'s signals.',
-      'Include digestive spices: cumin, coriander, fennel in cooking.',
-      'Avoid eating when stressed or emotionally upset.'
-    ],
-    energy: [
-      'Balance macros and avoid blood sugar spikes with complex carbs.',
-      'Stay hydrated but avoid excessive caffeine dependency.',
-      'Align meals with your circadian rhythm for sustained energy.'
-    ]
-  }
-};
+// Relevance points for each thing a tip is matched on; its priority is added to rank it
+const MATCH_WEIGHTS = { condition: 4, feeling: 3, plans: 3, goal: 2, dosha: 2, season: 1, time_slot: 1 };
+const PRIORITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
 
 /**
- * Analyze user context and generate personalized recommendations
+ * Analyze user context and generate personalized recommendations.
+ * context.feeling (a FEELINGS key) favours tips for it; context.seed and context.step
+ * choose among equally relevant tips (see above). Each recommendation carries the
+ * `id` of its tip, its `score` and the `reasons` it was chosen, and its message is
+ * in `locale`. rules defaults to advisory_rules.csv; the API passes the collection.
  */
-export async function generateAdvisory({ profile, context = {} }) {
+export async function generateAdvisory({ profile, context = {}, rules = loadAdvisoryRulesFromCSV(), locale = DEFAULT_LOCALE }) {
   const dosha = profile?.dosha_result || 'Vata';
   const goals = profile?.health_goals || [];
-  const hour = context.hour ?? new Date().getHours();
-  const month = context.month ?? new Date().getMonth() + 1;
+  const timezone = context.timezone || 'UTC';
+  const hour = context.hour ?? localHour(timezone);
+  // An explicit date wins; a month alone is read as the 1st of that month this year
+  const today = localDate(timezone);
+  const date = context.date ??
+    (context.month ? `${today.slice(0, 4)}-${String(context.month).padStart(2, '0')}-01` : today);
+  const selection = tipSelection({ seed: context.seed ?? context.userId, date, step: context.step });
   
-  const recommendations = [];
-
-  // 1. Time-based advice
   const timeSlot = getTimeSlot(hour);
-  const timeAdvice = ADVISORY_RULES.timeOfDay[timeSlot];
-  if (timeAdvice) {
-    const selected = timeAdvice[Math.floor(Math.random() * timeAdvice.length)];
-    recommendations.push({
-      category: 'Time-Based',
-      priority: selected.priority === 'high' ? 'high' : 'medium',
-      message: selected.tip,
-      icon: '🕐'
-    });
-  }
-
-  // 2. Dosha-specific guidance
-  const doshaAdvice = ADVISORY_RULES.dosha[dosha];
-  if (doshaAdvice) {
-    const doshaRec = doshaAdvice[Math.floor(Math.random() * doshaAdvice.length)];
-    recommendations.push({
-      category: `${dosha} Balance`,
-      priority: 'high',
-      message: doshaRec.tip,
-      icon: '⚖️'
-    });
-  }
+  const where = {
+    hemisphere: context.hemisphere ?? profile?.location?.hemisphere,
+    latitude: context.latitude ?? profile?.location?.latitude
+  };
+  const ritu = getRitu({ date, ...where });
+  const season = ritu.season;
+  const conditions = [...new Set((profile?.medical_conditions || []).map(normalizeCondition))];
+  // Food-based insights (if user has recent plans)
+  const plans = context.userId ? await analyzeDietPattern(context.userId) : null;
 
-  // 3. Seasonal guidance
-  const season = getSeasonFromMonth(month);
-  const seasonalTips = ADVISORY_RULES.seasonal[season];
-  if (seasonalTips && seasonalTips.length > 0) {
-    const seasonalTip = seasonalTips[Math.floor(Math.random() * seasonalTips.length)];
-    recommendations.push({
-      category: 'Seasonal Wisdom',
-      priority: 'medium',
-      message: seasonalTip,
-      icon: '🌿'
-    });
-  }
+  // The sections of the advisory on a day: which tips fill each one and how it is shown
+  const slotsFor = (dayRitu) => [
+    { category: 'time', pool: timeSlot, label: 'Time-Based', icon: '🕐' },
+    { category: 'dosha', pool: dosha.toLowerCase(), label: `${dosha} Balance`, icon: '⚖️' },
+    // During a ritu-sandhi, how to ease into the next ritu
+    dayRitu.sandhi
+      ? { category: 'sandhi', pool: 'sandhi', label: 'Ritu Sandhi', icon: '🌗', values: sandhiValues(dayRitu.sandhi) }
+      : { category: 'season', pool: dayRitu.id, label: 'Seasonal Wisdom', icon: '🌿' },
+    ...goals.map((goal) => ({ category: 'goal', pool: goal, label: `${formatGoal(goal)} Support`, icon: '🎯', only: { goal: [goal] } })),
+    ...conditions.map((condition) => ({ category: 'condition', pool: condition, label: 'Condition Care', icon: '🩺', only: { condition: [condition] } })),
+    ...(plans ? [plans.context === 'diversity'
+      ? { category: 'pattern', pool: 'diversity', label: 'Diet Diversity', icon: '🌈', context: 'diversity', values: { count: plans.count } }
+      : { category: 'pattern', pool: 'balanced', label: 'Pattern Analysis', icon: '📊', context: 'balanced' }] : []),
+    { category: 'wisdom', pool: 'wisdom', label: 'Ayurvedic Principle', icon: '📿' }
+  ];
 
-  // 4. Goal-specific advice
-  const primaryGoal = goals[0];
-  if (primaryGoal && ADVISORY_RULES.goals[primaryGoal]) {
-    const goalTips = ADVISORY_RULES.goals[primaryGoal];
-    const randomTip = goalTips[Math.floor(Math.random() * goalTips.length)];
-    recommendations.push({
-      category: `${formatGoal(primaryGoal)} Support`,
-      priority: 'high',
-      message: randomTip,
-      icon: '🎯'
+  // Each slot takes its day's tip not already given: [{ slot, pick }]. The day before is
+  // replayed (`lookback` days deep) and, with `lookahead`, the day after's own tips are
+  // looked at, so a pool that changes overnight steps past both rather than repeat a tip
+  const picksFor = (day, lookback, lookahead = true) => {
+    const dayRitu = getRitu({ date: day, ...where });
+    const facts = {
+      dosha: dosha.split('-'),
+      season: [dayRitu.id, dayRitu.season],
+      time_slot: [timeSlot],
+      goal: goals,
+      condition: conditions,
+      feeling: context.feeling
+    };
+    const byPool = (dayPicks) => new Map(dayPicks.map(({ slot, pick }) => [slotKey(slot), pick.tip.rule_id]));
+    const previous = byPool(lookback ? picksFor(addDays(day, -1), lookback - 1) : []);
+    const next = byPool(lookahead ? picksFor(addDays(day, 1), 0, false) : []);
+    const daySelection = tipSelection({ ...selection, date: day });
+    const chosen = new Set();
+    const picks = [];
+    slotsFor(dayRitu).forEach((slot) => {
+      const slotFacts = { ...facts, ...slot.only };
+      const scored = matchingTips(rules, slot.category, slotFacts)
+        .filter((tip) => !chosen.has(tip.rule_id) && (!slot.context || tip.context === slot.context))
+        .map((tip) => scoreTip(tip, slotFacts));
+      const pick = pickTip(scored, slot.pool, daySelection, { previous: previous.get(slotKey(slot)), next: next.get(slotKey(slot)) });
+      if (!pick) return;
+      chosen.add(pick.tip.rule_id);
+      picks.push({ slot, pick });
     });
-  }
-
-  // 5. Food-based insights (if user has recent plans)
-  if (context.userId) {
-    const foodInsight = await analyzeDietPattern(context.userId, dosha);
-    if (foodInsight) {
-      recommendations.push(foodInsight);
-    }
-  }
+    return picks;
+  };
 
-  // 6. General Ayurvedic wisdom
-  recommendations.push({
-    category: 'Ayurvedic Principle',
-    priority: 'low',
-    message: getRandomWisdom(),
-    icon: '📿'
-  });
+  const picks = picksFor(date, ROTATION_LOOKBACK).map(({ slot, pick }) => ({
+    ...toRecommendation(pick.tip, slot.label, slot.icon, locale, slot.values),
+    score: pick.score,
+    reasons: pick.reasons
+  }));
 
   return {
     timestamp: new Date().toISOString(),
+    date,
+    weekday: weekdayOf(date),
+    timezone,
+    locale,
+    seed: selection.seed,
+    step: selection.step,
     dosha,
     season,
+    ritu,
     timeSlot,
-    recommendations: recommendations.slice(0, 5), // Top 5 tips
+    feeling: context.feeling ?? null,
+    // Highest score first; equal scores keep the order of the sections
+    recommendations: picks.sort((a, b) => b.score - a.score).slice(0, MAX_RECOMMENDATIONS),
     profile_summary: {
       dosha,
       goals,
+      conditions,
       activity: profile?.activity_level || 'moderate'
     }
   };
 }
 
 /**
- * Analyze user's diet patterns from saved plans
+ * Analyze user's diet patterns from saved plans:
+ * { context: 'diversity' (low variety) or 'balanced', count of different foods }
  */
-async function analyzeDietPattern(userId, dosha) {
+async function analyzeDietPattern(userId) {
   try {
     const recentPlans = await Plans()
       .find({ user_id: userId })
@@ -226,33 +173,8 @@ async function analyzeDietPattern(userId, dosha) {
       });
     });
 
-    if (allFoods.size < 10) {
-      return {
-        category: 'Diet Diversity',
-        priority: 'medium',
-        message: `You've been eating ${allFoods.size} unique foods. Try adding more variety—aim for 20-30 different foods weekly for optimal nutrition.`,
-        icon: '🌈'
-      };
-    }
-
-    // Check for dosha-aggravating patterns
-    const doshaAggravating = {
-      Vata: ['cold', 'raw', 'dry'],
-      Pitta: ['spicy', 'sour', 'heating'],
-      Kapha: ['heavy', 'sweet', 'oily']
-    };
-
-    const warnings = doshaAggravating[dosha] || [];
-    const warningMsg = warnings.length > 0 
-      ? `Your recent plans look balanced. Continue avoiding excessive ${warnings.join(', ')} foods for ${dosha}.`
-      : 'Your diet pattern is well-balanced!';
-
-    return {
-      category: 'Pattern Analysis',
-      priority: 'medium',
-      message: warningMsg,
-      icon: '📊'
-    };
+    // No sign of low variety: the pattern tips remind the user what aggravates their dosha
+    return { context: allFoods.size < 10 ? 'diversity' : 'balanced', count: allFoods.size };
 
   } catch (error) {
     console.error('Diet pattern analysis error:', error);
@@ -271,47 +193,163 @@ function getTimeSlot(hour) {
 }
 
 /**
- * Helper: Get season from month
+ * Helper: Format goal name
  */
-function getSeasonFromMonth(month) {
-  if (month >= 3 && month <= 5) return 'spring';
-  if (month >= 6 && month <= 8) return 'summer';
-  if (month >= 9 && month <= 11) return 'autumn';
-  return 'winter';
+function formatGoal(goal) {
+  return goal.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
 }
 
 /**
- * Helper: Format goal name
+ * Helper: Recommendation for a tip, its text in the locale
  */
-function formatGoal(goal) {
-  return goal.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+function toRecommendation(tip, category, icon, locale, values) {
+  return {
+    id: tip.rule_id,
+    category,
+    priority: tip.priority,
+    message: localise(tip.text, locale, values),
+    icon
+  };
 }
 
 /**
- * Helper: Get random Ayurvedic wisdom
+ * Helper: Tips of a category whose conditions all match the facts, by rule_id.
+ * A condition matches when it is empty or shares a value with the fact (any case).
  */
-function getRandomWisdom() {
-  const wisdom = [
-    'When diet is wrong, medicine is of no use. When diet is correct, medicine is of no need.',
-    'One who is established in a proper routine becomes healthy, happy, and strong.',
-    'The key to health is maintaining proper Agni (digestive fire).',
-    'Like increases like, opposites balance—the fundamental principle of Ayurveda.',
-    'Food should be eaten with full attention and gratitude for maximum benefit.',
-    'Your body is precious. It is your vehicle for awakening. Treat it with care.',
-    'Prevention is better than cure—align with nature\'s rhythms for optimal health.'
-  ];
-  return wisdom[Math.floor(Math.random() * wisdom.length)];
+function matchingTips(rules, category, facts) {
+  return rules
+    .filter((rule) => rule.category === category && ADVISORY_CONDITIONS.every((key) => {
+      const wanted = lower(rule.conditions?.[key]);
+      return !wanted.length || lower(facts[key]).some((value) => wanted.includes(value));
+    }))
+    .sort((a, b) => a.rule_id.localeCompare(b.rule_id, 'en', { numeric: true }));
+}
+
+/**
+ * Helper: Why a matching tip fits the facts: { tip, relevance, score, reasons },
+ * a reason per condition it was limited to and for the feeling or plan analysis
+ * its context answers, e.g. { match: 'goal', value: 'weight_loss', weight: 2 }
+ */
+function scoreTip(tip, facts) {
+  const reasons = [];
+  ADVISORY_CONDITIONS.forEach((key) => {
+    const wanted = lower(tip.conditions?.[key]);
+    const value = (facts[key] || []).find((v) => wanted.includes(String(v).toLowerCase()));
+    if (value !== undefined) reasons.push({ match: key, value, weight: MATCH_WEIGHTS[key] });
+  });
+  if (tip.category === 'pattern' && tip.context) {
+    reasons.push({ match: 'plans', value: tip.context, weight: MATCH_WEIGHTS.plans });
+  } else if (facts.feeling && tip.context === FEELINGS[facts.feeling]) {
+    reasons.push({ match: 'feeling', value: facts.feeling, weight: MATCH_WEIGHTS.feeling });
+  }
+  const relevance = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+  return { tip, relevance, score: relevance + (PRIORITY_WEIGHTS[tip.priority] || 0), reasons };
+}
+
+/**
+ * Helper: Names of the ritus in a ritu-sandhi, for the sandhi tips' placeholders
+ */
+function sandhiValues(sandhi) {
+  const from = rituById(sandhi.from);
+  const to = rituById(sandhi.to);
+  return { from: from.name, from_english: from.english, to: to.name, to_english: to.english };
+}
+
+/**
+ * Helper: Condition values, lowercased
+ */
+function lower(values) {
+  return (values || []).map((v) => String(v).toLowerCase());
+}
+
+/**
+ * Helper: Seeded tip selection for a day: { seed, day (days since 1970), step }
+ */
+function tipSelection({ seed, date, step = 0 }) {
+  return {
+    seed: String(seed ?? 'anonymous'),
+    day: Math.floor(Date.parse(date) / DAY_MS),
+    step
+  };
+}
+
+/**
+ * Helper: The day's pick from a pool's scored tips (null for none): the first in turn
+ * that is neither the tip the pool gave the day before (previous) nor the following
+ * day's own pick (next), which only differ from the turn's own tip around a change in
+ * the pool; failing that, any tip but yesterday's.
+ */
+function pickTip(scored, pool, { seed, day, step }, { previous, next } = {}) {
+  const order = turnOrder(scored, hashString(`${seed}:${pool}`) + day - step);
+  return order.find((s) => s.tip.rule_id !== previous && s.tip.rule_id !== next) ??
+    order.find((s) => s.tip.rule_id !== previous) ?? null;
+}
+
+/**
+ * Helper: The pool's tips in the order they are tried on a turn (one turn a day).
+ * The most relevant tips take turns; a lone most relevant tip takes the even turns
+ * and the less relevant tips share the odd ones (with none, the pool skips them), so
+ * it is never due two days running.
+ */
+function turnOrder(scored, turn) {
+  if (!scored.length) return [];
+  const best = Math.max(...scored.map((s) => s.relevance));
+  const top = scored.filter((s) => s.relevance === best);
+  if (top.length > 1) return rotate(top, turn);
+  const rest = turnOrder(scored.filter((s) => s.relevance < best), Math.floor(turn / 2));
+  if (turn % 2 === 0) return [top[0], ...rest];
+  return rest.length ? [...rest, top[0]] : [];
+}
+
+/**
+ * Helper: A list started at position `turn`, wrapping round
+ */
+function rotate(list, turn) {
+  const start = ((turn % list.length) + list.length) % list.length;
+  return [...list.slice(start), ...list.slice(0, start)];
+}
+
+/**
+ * Helper: A slot's pool across days: the same category and pool
+ */
+function slotKey(slot) {
+  return `${slot.category}:${slot.pool}`;
+}
+
+/**
+ * Helper: 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
 }
 
 /**
  * Generate quick tip (lighter version for quick fetches)
+ * options: { seed, date (default today in timezone), timezone, step, rules, locale } as for generateAdvisory
  */
-export function generateQuickTip(dosha = 'Vata') {
-  const tips = ADVISORY_RULES.dosha[dosha] || ADVISORY_RULES.dosha.Vata;
-  const selected = tips[Math.floor(Math.random() * tips.length)];
+export function generateQuickTip(dosha = 'Vata', { seed, date, timezone = 'UTC', step, rules = loadAdvisoryRulesFromCSV(), locale = DEFAULT_LOCALE } = {}) {
+  // Doshas without tips of their own get Vata's
+  const pool = matchingTips(rules, 'dosha', { dosha: dosha.split('-') }).length ? dosha : 'Vata';
+  const day = date ?? localDate(timezone);
+  const selection = tipSelection({ seed, date: day, step });
+  // Every tip of these pools is equally relevant, and the pools do not change from day to day
+  const equal = (tips) => tips.map((tip) => ({ tip, relevance: 0 }));
+  const tip = pickTip(equal(matchingTips(rules, 'dosha', { dosha: pool.split('-') })), pool.toLowerCase(), selection)?.tip;
+  const wisdom = pickTip(equal(matchingTips(rules, 'wisdom', {})), 'wisdom', selection)?.tip;
   return {
-    tip: selected.tip,
+    tip: tip && localise(tip.text, locale),
+    tip_id: tip?.rule_id ?? null,
     dosha,
-    wisdom: getRandomWisdom()
+    wisdom: wisdom && localise(wisdom.text, locale),
+    wisdom_id: wisdom?.rule_id ?? null,
+    date: day,
+    locale,
+    seed: selection.seed,
+    step: selection.step
   };
 }
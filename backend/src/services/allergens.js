@@ -0,0 +1,69 @@
+/**
+ * Allergen taxonomy
+ * data/allergens.csv lists the major allergen families with the words users type
+ * for them ("peanuts", "groundnut", "dairy", "atta"...); data/food_allergens.csv
+ * maps every food_id to the families it contains.
+ */
+
+import { readDataCSV } from '../lib/csv.js';
+import { matchesFoodTerm } from './foodSelectors.js';
+
+export function loadAllergenTaxonomy() {
+  return readDataCSV('allergens.csv').map((row) => ({
+    allergen: row.allergen,
+    label: row.label,
+    synonyms: splitList(row.synonyms)
+  }));
+}
+
+export function loadFoodAllergens() {
+  return new Map(readDataCSV('food_allergens.csv').map((row) => [row.food_id, splitList(row.allergens)]));
+}
+
+/**
+ * Resolve profile.allergies against the taxonomy.
+ * Returns [{ requested, allergen, label }]; allergen is null for terms that are not a
+ * family (e.g. "banana"), which then match food names and common names instead.
+ */
+export function resolveAllergies(allergies, taxonomy = loadAllergenTaxonomy()) {
+  return (allergies || []).map((requested) => {
+    const term = normalise(requested);
+    const family = taxonomy.find((t) => t.allergen === term.replace(/\s+/g, '_') ||
+      variants(term).some((v) => t.synonyms.includes(v)));
+    return { requested, allergen: family?.allergen || null, label: family?.label || null };
+  }).filter(({ requested }) => normalise(requested));
+}
+
+// Allergen families in a food: from the mapping file, else from words in its names
+export function foodAllergens(food, foodAllergenMap = loadFoodAllergens(), taxonomy = loadAllergenTaxonomy()) {
+  const mapped = foodAllergenMap.get(food.food_id);
+  if (mapped) return mapped;
+  const words = nameWords(food);
+  return taxonomy.filter((t) => t.synonyms.some((s) => words.includes(s))).map((t) => t.allergen);
+}
+
+// First resolved allergy a food triggers, or null
+export function matchAllergy(food, resolved, foodAllergenMap = loadFoodAllergens(), taxonomy = loadAllergenTaxonomy()) {
+  if (!resolved.length) return null;
+  const families = foodAllergens(food, foodAllergenMap, taxonomy);
+  return resolved.find(({ requested, allergen }) => (allergen
+    ? families.includes(allergen)
+    : matchesFoodTerm(food, requested))) || null;
+}
+
+function splitList(value) {
+  return String(value || '').split('|').map(normalise).filter(Boolean);
+}
+
+function normalise(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+// "peanuts" -> peanut, "tomatoes" -> tomato, "grapes" -> grape
+function variants(term) {
+  return [...new Set([term, term.replace(/s$/, ''), term.replace(/es$/, '')])];
+}
+
+function nameWords(food) {
+  return `${food.name || ''} ${food.common_names || ''}`.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+}
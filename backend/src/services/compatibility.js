@@ -0,0 +1,62 @@
+/**
+ * Viruddha Ahara (incompatible food combinations)
+ * Pairs come from data/viruddha_ahara.csv. Each side is a selector such as
+ * "name:milk+group:dairy" (all parts must match) or "name:fish|prawn" (any value);
+ * see foodSelectors.js for the syntax.
+ */
+
+import { readDataCSV } from '../lib/csv.js';
+import { parseSelector, matchesSelector } from './foodSelectors.js';
+import { recipeParts } from './recipes.js';
+
+export function loadViruddhaRules() {
+  return readDataCSV('viruddha_ahara.csv').map((row) => ({
+    rule_id: Number(row.rule_id),
+    food_a: parseSelector(row.food_a),
+    food_b: parseSelector(row.food_b),
+    severity: row.severity || 'avoid',
+    reason: row.reason
+  }));
+}
+
+/**
+ * Check every pair in a list of foods.
+ * Returns [{ rule_id, severity, reason, foods: [{ food_id, name }, { food_id, name }] }]
+ */
+export function findIncompatibilities(foods, rules = loadViruddhaRules()) {
+  const conflicts = [];
+  for (let i = 0; i < foods.length; i++) {
+    for (let j = i + 1; j < foods.length; j++) {
+      const rule = matchPair(foods[i], foods[j], rules);
+      if (rule) {
+        conflicts.push({
+          rule_id: rule.rule_id,
+          severity: rule.severity,
+          reason: rule.reason,
+          foods: [foods[i], foods[j]].map((f) => ({ food_id: f.food_id, name: f.name }))
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// First rule of the given severity that a candidate breaks with any already chosen food
+export function conflictsWith(candidate, chosen, rules = loadViruddhaRules(), severity = 'avoid') {
+  const relevant = rules.filter((r) => r.severity === severity);
+  for (const other of chosen) {
+    const rule = matchPair(candidate, other, relevant);
+    if (rule) return { ...rule, with: other };
+  }
+  return null;
+}
+
+// Recipes are matched through their ingredients and spices as well as the dish itself
+function matchPair(a, b, rules) {
+  const as = [a, ...recipeParts(a)];
+  const bs = [b, ...recipeParts(b)];
+  return rules.find((r) => as.some((x) => bs.some((y) =>
+    (matchesSelector(x, r.food_a) && matchesSelector(y, r.food_b)) ||
+    (matchesSelector(y, r.food_a) && matchesSelector(x, r.food_b))
+  ))) || null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Medical-condition contraindications
+ * Rows come from data/contraindications.csv: a condition, a food selector
+ * (see foodSelectors.js), a severity and a reason.
+ *   avoid  - the food is removed from the plan
+ *   limit  - the food stays, with a score penalty and a smaller portion
+ * Selectors can test the nutrients in data/food_nutrients.csv (sugar, sodium,
+ * potassium per 100g), which are listed there by food_id.
+ */
+
+import { readDataCSV } from '../lib/csv.js';
+import { normalizeCondition } from '../lib/constants.js';
+import { parseSelector, matchesSelector } from './foodSelectors.js';
+
+export { normalizeCondition };
+
+// Nutrient columns of data/food_nutrients.csv
+export const CONDITION_NUTRIENTS = ['sugar_100g', 'sodium_mg_100g', 'potassium_mg_100g'];
+
+export function loadContraindications() {
+  return readDataCSV('contraindications.csv').map((row) => ({
+    rule_id: Number(row.rule_id),
+    condition: row.condition,
+    food: parseSelector(row.food),
+    severity: row.severity || 'avoid',
+    reason: row.reason
+  }));
+}
+
+// food_id -> { sugar_100g, sodium_mg_100g, potassium_mg_100g }; blank cells are left out
+export function loadFoodNutrients() {
+  return new Map(readDataCSV('food_nutrients.csv').map((row) => [
+    row.food_id,
+    Object.fromEntries(CONDITION_NUTRIENTS
+      .filter((key) => row[key] !== '' && Number.isFinite(Number(row[key])))
+      .map((key) => [key, Number(row[key])]))
+  ]));
+}
+
+/**
+ * Every contraindication a food triggers for the given conditions, avoid entries first.
+ * Nutrients the food does not carry itself come from foodNutrients by food_id.
+ * Returns [{ rule_id, condition, severity, reason }]
+ */
+export function findContraindications(food, conditions, rules = loadContraindications(), foodNutrients = loadFoodNutrients()) {
+  const wanted = new Set((conditions || []).map(normalizeCondition));
+  if (!wanted.size) return [];
+  const withNutrients = { ...foodNutrients.get(food.food_id), ...food };
+  return rules
+    .filter((r) => wanted.has(r.condition) && matchesSelector(withNutrients, r.food))
+    .sort((a, b) => (a.severity === 'avoid' ? 0 : 1) - (b.severity === 'avoid' ? 0 : 1))
+    .map(({ rule_id, condition, severity, reason }) => ({ rule_id, condition, severity, reason }));
+}
@@ -0,0 +1,76 @@
+/**
+ * Diet patterns (vegetarian, vegan, eggetarian, Jain, sattvic)
+ * Each food's origin, Jain restriction and guna come from data/food_diet_classes.csv,
+ * keyed by food_id. Foods missing from the file are classified from their group and name.
+ */
+
+import { readDataCSV } from '../lib/csv.js';
+import { foodGroup } from './foodGroups.js';
+
+const VEGETARIAN_ORIGINS = ['plant', 'dairy', 'honey'];
+
+// Origins each pattern allows; `jain` also drops jain_avoid foods, `guna` limits the guna
+export const DIET_PATTERNS = {
+  non_vegetarian: { origins: null },
+  eggetarian: { origins: [...VEGETARIAN_ORIGINS, 'egg'] },
+  vegetarian: { origins: VEGETARIAN_ORIGINS },
+  vegan: { origins: ['plant'] },
+  jain: { origins: VEGETARIAN_ORIGINS, jain: true },
+  sattvic: { origins: VEGETARIAN_ORIGINS, guna: ['sattvic'] }
+};
+
+const JAIN_AVOID_LABELS = {
+  root: 'root vegetables',
+  onion_garlic: 'onion and garlic',
+  honey: 'honey',
+  many_seeded: 'many-seeded foods'
+};
+
+export function loadDietClasses() {
+  return new Map(readDataCSV('food_diet_classes.csv').map((row) => [row.food_id, {
+    origin: row.origin,
+    jain_avoid: row.jain_avoid || null,
+    guna: row.guna || 'sattvic'
+  }]));
+}
+
+export function dietClass(food, classes = loadDietClasses()) {
+  return classes.get(food.food_id) || inferDietClass(food);
+}
+
+// Returns the reason a food is outside the diet pattern, or null (also for unknown patterns)
+export function dietViolation(food, pattern, classes = loadDietClasses()) {
+  const rules = DIET_PATTERNS[pattern];
+  if (!rules) return null;
+  const { origin, jain_avoid, guna } = dietClass(food, classes);
+  const label = pattern.replace('_', '-');
+
+  if (rules.origins && !rules.origins.includes(origin)) return `${label}: excludes ${origin}`;
+  if (rules.jain && jain_avoid) return `${label}: excludes ${JAIN_AVOID_LABELS[jain_avoid] || jain_avoid}`;
+  if (rules.guna && !rules.guna.includes(guna)) return `${label}: ${guna} food`;
+  return null;
+}
+
+function inferDietClass(food) {
+  const group = foodGroup(food);
+  const name = (food.name || '').toLowerCase();
+  const onionGarlic = /\b(onion|garlic)\b/.test(name);
+
+  let origin = 'plant';
+  if (group === 'dairy') origin = 'dairy';
+  else if (/\bhoney\b/.test(name)) origin = 'honey';
+  else if (group === 'protein') {
+    if (/\begg\b/.test(name)) origin = 'egg';
+    else if (/\bfish\b/.test(name)) origin = 'fish';
+    else if (/\b(prawn|crab|shrimp)\b/.test(name)) origin = 'shellfish';
+    else origin = 'meat';
+  }
+
+  let jainAvoid = null;
+  if (onionGarlic) jainAvoid = 'onion_garlic';
+  else if (group === 'root_vegetable') jainAvoid = 'root';
+  else if (origin === 'honey') jainAvoid = 'honey';
+
+  const tamasic = onionGarlic || !VEGETARIAN_ORIGINS.includes(origin);
+  return { origin, jain_avoid: jainAvoid, guna: tamasic ? 'tamasic' : 'sattvic' };
+}
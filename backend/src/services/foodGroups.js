@@ -0,0 +1,41 @@
+/**
+ * Food group classification
+ * Groups follow the IFCT letter in source_id (A001 = cereals ... L014 = meat).
+ * food_id is always "f_###", so it cannot be used to tell groups apart.
+ */
+
+export const FOOD_GROUPS = {
+  A: 'grain',
+  B: 'legume',
+  C: 'leafy_vegetable',
+  D: 'vegetable',
+  E: 'fruit',
+  F: 'nut_seed',
+  G: 'spice',
+  H: 'root_vegetable',
+  I: 'sweetener',
+  J: 'sweetener',
+  K: 'dairy',
+  L: 'protein'
+};
+
+// Older documents and hand-written fixtures use the short /foods?type= names
+const TYPE_ALIASES = { nut: 'nut_seed', root: 'root_vegetable', leafy: 'leafy_vegetable' };
+
+const KNOWN_GROUPS = new Set(Object.values(FOOD_GROUPS));
+
+export function foodGroup(food) {
+  const prefix = String(food.source_id || '').charAt(0).toUpperCase();
+  if (FOOD_GROUPS[prefix] && /^[A-L]\d/i.test(food.source_id)) return FOOD_GROUPS[prefix];
+
+  const type = TYPE_ALIASES[food.type] || food.type;
+  if (KNOWN_GROUPS.has(type)) return type;
+
+  // Fall back to the name for foods without a source or type (e.g. manual entries)
+  const name = (food.name || '').toLowerCase();
+  if (/rice|wheat|millet|kitchari/.test(name)) return 'grain';
+  if (/dal|bean|lentil|gram/.test(name)) return 'legume';
+  if (/milk|curd|ghee|paneer|butter/.test(name)) return 'dairy';
+  if (/nut|seed/.test(name)) return 'nut_seed';
+  return 'other';
+}
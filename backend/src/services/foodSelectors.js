@@ -0,0 +1,71 @@
+/**
+ * Food selectors shared by the viruddha ahara and contraindication tables.
+ * A selector is one or more parts joined by "+", all of which must match:
+ *   key:value|value   any value matches (keys: id, group, name, rasa, virya, guna)
+ *   field>=number     numeric nutrient test (>, >=, <, <=); foods without the field never match
+ *   !part             negates a part, e.g. "group:legume+!name:mung"
+ */
+
+import { foodGroup } from './foodGroups.js';
+
+// Selector keys and how each reads a food
+const SELECTOR_READERS = {
+  id: (f) => [String(f.food_id || '').toLowerCase()],
+  group: (f) => [foodGroup(f)],
+  // Whole words of the name and common names, so "egg" does not match "Eggplant"
+  name: (f) => `${f.name || ''} ${f.common_names || ''}`.toLowerCase().split(/[^a-z]+/).filter(Boolean),
+  rasa: (f) => String(f.tastes || f.rasa || '').toLowerCase().split(',').map((s) => s.trim()),
+  virya: (f) => [String(f.energy || f.virya || '').toLowerCase()],
+  guna: (f) => String(f.qualities || f.guna || '').toLowerCase().split(',').map((s) => s.trim())
+};
+
+const COMPARE = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b
+};
+
+// "name:milk+group:dairy" -> [{ key: 'name', values: ['milk'] }, { key: 'group', values: ['dairy'] }]
+// "sugar_100g>=15"        -> [{ field: 'sugar_100g', op: '>=', value: 15 }]
+export function parseSelector(text) {
+  return String(text || '').split('+').map((s) => s.trim()).filter(Boolean).map((part) => {
+    const negate = part.startsWith('!');
+    const body = negate ? part.slice(1) : part;
+    const numeric = body.match(/^(\w+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+    if (numeric) return { negate, field: numeric[1], op: numeric[2], value: Number(numeric[3]) };
+    const [key, values = ''] = body.split(':');
+    return { negate, key: key.trim(), values: values.split('|').map((v) => v.trim().toLowerCase()) };
+  });
+}
+
+/**
+ * Whether a free-text term a user typed ("rice", "bitter_gourd", "bananas") names a food:
+ * the term, or its singular, appears as whole words in the name or a common name.
+ */
+export function matchesFoodTerm(food, term) {
+  const phrase = String(term || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+  if (!phrase) return false;
+  const names = `${food.name || ''} | ${String(food.common_names || '').replace(/\|/g, ' | ')}`.toLowerCase();
+  return [...new Set([phrase, phrase.replace(/s$/, ''), phrase.replace(/es$/, '')])]
+    .some((p) => new RegExp(`(^|[^a-z])${escapeRegExp(p)}($|[^a-z])`).test(names));
+}
+
+export function matchesSelector(food, selector) {
+  return selector.length > 0 && selector.every((part) => matchesPart(food, part) !== part.negate);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesPart(food, part) {
+  if (part.field) {
+    const raw = food[part.field];
+    if (raw === undefined || raw === null || raw === '') return false;
+    const n = Number(raw);
+    return Number.isFinite(n) && COMPARE[part.op](n, part.value);
+  }
+  const read = SELECTOR_READERS[part.key];
+  return read ? read(food).some((v) => part.values.includes(v)) : false;
+}
@@ -0,0 +1,149 @@
+/**
+ * Grocery lists
+ * Adds up the raw grams of every food across one or more saved plans (recipe items
+ * count through their ingredients and spices), groups the foods by type and turns
+ * each total into something you can buy: litres of milk, a count of bananas or eggs,
+ * or a weight rounded up to a shop-friendly step. Lists export as JSON, plain text,
+ * CSV or a Markdown checklist.
+ */
+
+import { foodGroup } from './foodGroups.js';
+import { loadFoodMeasures, foodMeasure } from './measures.js';
+
+// Aisle order of the groups, with their headings
+const GROUP_LABELS = {
+  grain: 'Grains & flours',
+  legume: 'Dals & legumes',
+  leafy_vegetable: 'Leafy greens',
+  vegetable: 'Vegetables',
+  root_vegetable: 'Root vegetables',
+  fruit: 'Fruit',
+  nut_seed: 'Nuts & seeds',
+  dairy: 'Dairy',
+  protein: 'Eggs, fish & meat',
+  sweetener: 'Sweeteners',
+  spice: 'Spices',
+  other: 'Other'
+};
+
+// Foods bought by volume (1 g taken as 1 ml)
+const LIQUID_NAMES = /\b(milk|buttermilk)\b/i;
+
+/**
+ * Grocery list for plans (each with days[].meals[].items[], or meals[] for single-day plans).
+ * foodsById resolves food_ids to foods for grouping and purchase units.
+ * Returns { plan_ids, days, item_count, groups: [{ group, label, items: [{ food_id, name, grams, quantity, uses }] }] }
+ */
+export function buildGroceryList(plans, { foodsById, foodMeasures = loadFoodMeasures() }) {
+  const totals = new Map();
+  const add = (food_id, name, grams) => {
+    if (!food_id || !(grams > 0)) return;
+    const entry = totals.get(food_id) || { food_id, name, grams: 0, uses: 0 };
+    entry.grams += grams;
+    entry.uses += 1;
+    totals.set(food_id, entry);
+  };
+
+  let days = 0;
+  plans.forEach((plan) => {
+    const planDays = plan.days?.length ? plan.days : [{ meals: plan.meals || [] }];
+    days += planDays.length;
+    planDays.forEach((day) => day.meals.forEach((meal) => meal.items.forEach((item) => {
+      itemFoods(item).forEach(({ food_id, name, grams }) => add(food_id, name, grams));
+    })));
+  });
+
+  const groups = new Map(Object.keys(GROUP_LABELS).map((group) => [group, []]));
+  totals.forEach((entry) => {
+    const food = foodsById.get(entry.food_id);
+    const group = food ? foodGroup(food) : 'other';
+    const grams = Math.round(entry.grams * 10) / 10;
+    (groups.get(group) || groups.get('other')).push({
+      food_id: entry.food_id,
+      name: food?.name || entry.name,
+      grams,
+      quantity: purchaseQuantity(food, grams, foodMeasures),
+      uses: entry.uses
+    });
+  });
+
+  const grouped = [...groups.entries()]
+    .filter(([, items]) => items.length)
+    .map(([group, items]) => ({
+      group,
+      label: GROUP_LABELS[group],
+      items: items.sort((a, b) => a.name.localeCompare(b.name))
+    }));
+  return {
+    plan_ids: plans.map((p) => p._id ?? p.id ?? null),
+    days,
+    item_count: totals.size,
+    groups: grouped
+  };
+}
+
+// Foods a plan item uses: recipe items through their ingredients and spices
+export function itemFoods(item) {
+  if (item.recipe_id) return [...(item.ingredients || []), ...(item.spices || [])];
+  return [{ food_id: item.food_id, name: item.name, grams: item.grams ?? parseFloat(item.portion) }];
+}
+
+/**
+ * Shop-friendly amount for raw grams: { amount, unit, text }.
+ * Milk and buttermilk in 250 ml steps, foods eaten by the piece (eggs, fruit,
+ * tomatoes) counted whole, other foods rounded up to 5 g under 100 g, 50 g under
+ * 1 kg and 250 g above.
+ */
+export function purchaseQuantity(food, grams, foodMeasures = loadFoodMeasures()) {
+  if (food && LIQUID_NAMES.test(food.name)) {
+    const ml = Math.ceil(grams / 250) * 250;
+    return ml >= 1000
+      ? { amount: ml / 1000, unit: 'L', text: `${ml / 1000} L` }
+      : { amount: ml, unit: 'ml', text: `${ml} ml` };
+  }
+  const measure = food ? foodMeasure(food, foodMeasures) : null;
+  if (measure?.unit === 'piece' && measure.cooked_yield === 1) {
+    const count = Math.max(1, Math.ceil(grams / measure.unit_grams));
+    return { amount: count, unit: 'pcs', text: `${count} pcs` };
+  }
+  const step = grams < 100 ? 5 : grams < 1000 ? 50 : 250;
+  const rounded = Math.max(step, Math.ceil(grams / step) * step);
+  return rounded >= 1000
+    ? { amount: rounded / 1000, unit: 'kg', text: `${rounded / 1000} kg` }
+    : { amount: rounded, unit: 'g', text: `${rounded} g` };
+}
+
+// Export as 'text', 'csv' or 'md' (Markdown checklist): { body, contentType, extension }
+export function exportGroceryList(list, format) {
+  const title = `Shopping list (${list.days} ${list.days === 1 ? 'day' : 'days'})`;
+  if (format === 'csv') {
+    const rows = list.groups.flatMap(({ label, items }) => items.map((it) =>
+      [label, it.food_id, it.name, it.grams, it.quantity.amount, it.quantity.unit].map(csvField).join(',')));
+    return {
+      body: ['group,food_id,name,grams,quantity,unit', ...rows].join('\n') + '\n',
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv'
+    };
+  }
+  if (format === 'md') {
+    const sections = list.groups.map(({ label, items }) =>
+      [`## ${label}`, '', ...items.map((it) => `- [ ] ${it.name} — ${it.quantity.text}`)].join('\n'));
+    return {
+      body: [`# ${title}`, '', sections.join('\n\n')].join('\n') + '\n',
+      contentType: 'text/markdown; charset=utf-8',
+      extension: 'md'
+    };
+  }
+  const sections = list.groups.map(({ label, items }) =>
+    [label.toUpperCase(), ...items.map((it) => `  ${it.name}: ${it.quantity.text}`)].join('\n'));
+  return {
+    body: [title, '', sections.join('\n\n')].join('\n') + '\n',
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt'
+  };
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,85 @@
+/**
+ * Household measures
+ * data/food_measures.csv gives each food the form it is eaten in (cooked or raw),
+ * its cooked yield (cooked grams per raw gram), the household unit it is served in
+ * and that unit's weight in the eaten form. Plans keep raw grams for nutrition;
+ * measures turn them into "1½ katori cooked white rice", and back again when
+ * users log what they ate.
+ */
+
+import { readDataCSV } from '../lib/csv.js';
+
+// Weight of one unit (grams as eaten) for units a food does not define itself
+export const UNIT_GRAMS = { katori: 150, cup: 200, tbsp: 15, tsp: 5 };
+
+const UNIT_PLURALS = { cup: 'cups' };
+const FRACTIONS = { 0.25: '¼', 0.5: '½', 0.75: '¾' };
+
+export function loadFoodMeasures() {
+  return new Map(readDataCSV('food_measures.csv').map((row) => [row.food_id, {
+    form: row.form || 'raw',
+    cooked_yield: Number(row.cooked_yield) || 1,
+    unit: row.unit,
+    unit_grams: Number(row.unit_grams) || UNIT_GRAMS[row.unit] || 100,
+    label: row.label
+  }]));
+}
+
+// Measure definition for a food (recipes carry their own); foods missing from the file are served raw by the katori
+export function foodMeasure(food, measures = loadFoodMeasures()) {
+  return food.measure || measures.get(food.food_id) || {
+    form: 'raw',
+    cooked_yield: 1,
+    unit: 'katori',
+    unit_grams: UNIT_GRAMS.katori,
+    label: String(food.name || '').toLowerCase()
+  };
+}
+
+/**
+ * Household measure for a raw-gram portion.
+ * Returns { text, quantity, unit, form, served_grams }, e.g.
+ * 150 g raw white rice -> { text: '3 katori cooked white rice', quantity: 3, unit: 'katori', form: 'cooked', served_grams: 450 }
+ */
+export function householdMeasure(food, rawGrams, measures = loadFoodMeasures()) {
+  const m = foodMeasure(food, measures);
+  const served = Math.round(rawGrams * m.cooked_yield);
+  const quantity = roundQuantity(served / m.unit_grams);
+  return { text: formatMeasure(quantity, m), quantity, unit: m.unit, form: m.form, served_grams: served };
+}
+
+// Units a food can be logged in: its own unit, the standard ones and grams as eaten ('g')
+export function measureUnits(food, measures = loadFoodMeasures()) {
+  return [...new Set([foodMeasure(food, measures).unit, ...Object.keys(UNIT_GRAMS), 'g'])];
+}
+
+// Raw grams for a logged quantity, e.g. (rice, 2, 'katori') -> 100; null for units the food has no size for
+export function rawGramsFromMeasure(food, quantity, unit, measures = loadFoodMeasures()) {
+  const m = foodMeasure(food, measures);
+  let unitGrams = null;
+  if (unit === m.unit) unitGrams = m.unit_grams;
+  else if (unit === 'g') unitGrams = 1;
+  else if (UNIT_GRAMS[unit]) unitGrams = UNIT_GRAMS[unit];
+  if (unitGrams === null) return null;
+  return Math.round((quantity * unitGrams) / m.cooked_yield);
+}
+
+// Quarters below 1, halves below 4, whole units above; never rounds a portion away
+function roundQuantity(value) {
+  const step = value < 1 ? 0.25 : value < 4 ? 0.5 : 1;
+  return Math.max(0.25, Math.round(value / step) * step);
+}
+
+// "1½ katori cooked white rice", "2 roti (atta)", "12 almonds"
+function formatMeasure(quantity, { unit, label }) {
+  const whole = Math.floor(quantity);
+  const amount = `${whole || ''}${FRACTIONS[quantity - whole] || ''}` || '0';
+  if (unit === 'piece') return `${amount} ${quantity > 1 ? pluralise(label) : label}`;
+  const unitName = quantity > 1 ? UNIT_PLURALS[unit] || unit : unit;
+  return `${amount} ${unitName} ${label}`;
+}
+
+// Pluralise the noun before any parenthetical: "fish piece (sardine)" -> "fish pieces (sardine)"
+function pluralise(label) {
+  return label.replace(/^(.*?)(\s*\(.*\))?$/, (_, head, tail = '') => `${head}s${tail}`);
+}
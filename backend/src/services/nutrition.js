@@ -2,6 +2,9 @@
  * Nutrition calculation and meal balancing utilities
  */
 
+// Energy per gram of each macro
+export const KCAL_PER_GRAM = { protein: 4, carbs: 4, fats: 9 };
+
 // Calculate BMR using Mifflin-St Jeor equation
 export function calculateBMR(profile) {
   const { sex = 'M', height_cm = 170, weight_kg = 70, age_years, dob } = profile;
@@ -68,6 +71,18 @@ export function getMacroTargets(profile) {
   return { protein: 20, carbs: 55, fats: 25 }; // default
 }
 
+// Gram targets for a calorie budget split by getMacroTargets percentages
+export function getMacroGrams(calories, split) {
+  const grams = (macro) => Math.round((calories * (split[macro] || 0)) / 100 / KCAL_PER_GRAM[macro]);
+  return { protein_g: grams('protein'), carbs_g: grams('carbs'), fat_g: grams('fats') };
+}
+
+// Consumed macros ({ protein, carbs, fats }) in the same shape as getMacroGrams
+export function toMacroGrams(macros) {
+  const round = (v) => Math.round((v || 0) * 10) / 10;
+  return { protein_g: round(macros.protein), carbs_g: round(macros.carbs), fat_g: round(macros.fats) };
+}
+
 // Calculate macros for a food item
 export function calculateFoodMacros(food, grams = 100) {
   const scale = grams / 100;
@@ -79,6 +94,15 @@ export function calculateFoodMacros(food, grams = 100) {
   };
 }
 
+// Share of energy (%) from protein, carbs and fats, comparable with getMacroTargets
+export function calculateMacroSplit(macros) {
+  const kcal = Object.fromEntries(Object.entries(KCAL_PER_GRAM)
+    .map(([k, perGram]) => [k, (macros[k] || 0) * perGram]));
+  const total = kcal.protein + kcal.carbs + kcal.fats;
+  return Object.fromEntries(Object.entries(kcal)
+    .map(([k, v]) => [k, total ? Math.round((v / total) * 1000) / 10 : 0]));
+}
+
 // Calculate total macros for a meal
 export function calculateMealMacros(items) {
   return items.reduce((total, item) => {
@@ -0,0 +1,152 @@
+import { KCAL_PER_GRAM } from './nutrition.js';
+
+/**
+ * Day-level meal optimizer
+ * Sets portions for every item of a day at once so meal calories and the
+ * protein/carb/fat split land on target, then tries food swaps and additions
+ * that improve the fit without giving up too much Ayurvedic score.
+ */
+
+// Objective weights. Misses are measured in percent of target, squared, so a
+// 5-point macro miss costs 2 * 25 = 50 and a 10% meal miss costs 100.
+// `score` is applied to the mean plan score of the day's foods.
+export const OPTIMIZER_WEIGHTS = { mealCalories: 1, macroRatio: 2, score: 10 };
+
+const MACROS = Object.keys(KCAL_PER_GRAM);
+
+// Coordinate-descent sweeps per portion solve and improvement rounds per day
+const SOLVER_SWEEPS = 40;
+const SEARCH_ROUNDS = 2;
+
+function per100(food) {
+  return {
+    calories: Number(food.calories_100g || food.calories_per_100g || 0),
+    protein: Number(food.protein_100g || food.protein || 0),
+    carbs: Number(food.carbs_100g || food.carbs || 0),
+    fats: Number(food.fat_100g || food.fats || 0)
+  };
+}
+
+/**
+ * Solve portions for a day. `meals` is [{ target, bounds: [min, max], items: [{ entry, grams?, fixedGrams? }] }];
+ * an entry's `maxGrams` lowers the upper bound for that food and an item's `fixedGrams` pins its portion.
+ * `macroTargets` are percentages of energy. Minimises the weighted squared misses of
+ * each meal's calories and each macro's share of the day target within the portion bounds.
+ * Returns { meals (items with integer grams), fit }.
+ */
+export function solvePortions(meals, { targetCalories, macroTargets, weights = OPTIMIZER_WEIGHTS }) {
+  // One row per meal calorie target and per macro; x is portion in units of 100 g
+  const rows = [
+    ...meals.map((meal) => ({ weight: weights.mealCalories, goal: 100 })),
+    ...MACROS.map((m) => ({ weight: weights.macroRatio, goal: macroTargets[m] || 0 }))
+  ];
+  const vars = meals.flatMap((meal, mi) => meal.items.map((item) => {
+    const n = per100(item.entry.f);
+    const coef = rows.map(() => 0);
+    coef[mi] = (n.calories * 100) / meal.target;
+    MACROS.forEach((m, k) => {
+      coef[meals.length + k] = (n[m] * KCAL_PER_GRAM[m] * 100) / targetCalories;
+    });
+    if (item.fixedGrams) {
+      const x = item.fixedGrams / 100;
+      return { coef, lo: x, hi: x, x };
+    }
+    const [lo, max] = meal.bounds.map((g) => g / 100);
+    const hi = item.entry.maxGrams ? Math.max(lo, Math.min(max, item.entry.maxGrams / 100)) : max;
+    const start = item.grams ? item.grams / 100 : (lo + hi) / 2;
+    return { coef, lo, hi, x: Math.min(hi, Math.max(lo, start)) };
+  }));
+
+  const resid = rows.map((row, k) => vars.reduce((sum, v) => sum + v.coef[k] * v.x, 0) - row.goal);
+  for (let sweep = 0; sweep < SOLVER_SWEEPS; sweep++) {
+    let moved = 0;
+    vars.forEach((v) => {
+      let num = 0;
+      let den = 0;
+      rows.forEach((row, k) => {
+        num += row.weight * v.coef[k] * resid[k];
+        den += row.weight * v.coef[k] * v.coef[k];
+      });
+      if (!den) return;
+      const x = Math.min(v.hi, Math.max(v.lo, v.x - num / den));
+      const delta = x - v.x;
+      if (!delta) return;
+      rows.forEach((row, k) => { resid[k] += v.coef[k] * delta; });
+      v.x = x;
+      moved = Math.max(moved, Math.abs(delta));
+    });
+    if (moved < 1e-3) break;
+  }
+
+  let i = 0;
+  return {
+    meals: meals.map((meal) => ({
+      ...meal,
+      items: meal.items.map((item) => ({ ...item, grams: Math.round(vars[i++].x * 100) }))
+    })),
+    fit: rows.reduce((sum, row, k) => sum + row.weight * resid[k] * resid[k], 0)
+  };
+}
+
+function evaluate(meals, options) {
+  const solved = solvePortions(meals, options);
+  const entries = solved.meals.flatMap((meal) => meal.items.map((item) => item.entry));
+  const meanScore = entries.reduce((sum, e) => sum + e.score, 0) / Math.max(entries.length, 1);
+  return { ...solved, cost: solved.fit - options.weights.score * meanScore };
+}
+
+function withItems(meals, mi, items) {
+  return meals.map((meal, i) => (i === mi ? { ...meal, items } : meal));
+}
+
+/**
+ * Optimise a day's meals. Starts from the given selection, solves portions, then for
+ * SEARCH_ROUNDS tries replacing each item (and filling meals below `maxItems`) with the
+ * foods returned by `candidatesFor(mealIndex, keptItems, meals)`, keeping any change
+ * that lowers the cost. Items marked `locked` are never replaced. Swapped-in items are
+ * marked pass 'optimizer'.
+ */
+export function optimizeDay(meals, {
+  targetCalories,
+  macroTargets,
+  candidatesFor,
+  weights = OPTIMIZER_WEIGHTS
+}) {
+  const options = { targetCalories, macroTargets, weights };
+  let best = evaluate(meals, options);
+
+  const attempt = (mi, items) => {
+    const trial = evaluate(withItems(best.meals, mi, items), options);
+    if (trial.cost < best.cost - 1e-6) {
+      best = trial;
+      return true;
+    }
+    return false;
+  };
+
+  for (let round = 0; round < SEARCH_ROUNDS; round++) {
+    let improved = false;
+    best.meals.forEach((_, mi) => {
+      for (let i = 0; i < best.meals[mi].items.length; i++) {
+        if (best.meals[mi].items[i].locked) continue;
+        const kept = best.meals[mi].items.filter((_, j) => j !== i);
+        for (const entry of candidatesFor(mi, kept, best.meals)) {
+          const items = [...kept.slice(0, i), { entry, pass: 'optimizer' }, ...kept.slice(i)];
+          if (attempt(mi, items)) improved = true;
+        }
+      }
+      const meal = best.meals[mi];
+      if (meal.items.length < meal.maxItems) {
+        for (const entry of candidatesFor(mi, meal.items, best.meals)) {
+          if (attempt(mi, [...best.meals[mi].items, { entry, pass: 'optimizer' }])) {
+            improved = true;
+            break;
+          }
+        }
+      }
+    });
+    if (!improved) break;
+  }
+
+  return best;
+}
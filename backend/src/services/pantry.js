@@ -0,0 +1,158 @@
+/**
+ * Pantry-aware planning
+ * A pantry holds a user's foods on hand: { food_id, quantity (raw grams), expiry }.
+ * In pantry mode buildPlan ranks foods on hand up, foods close to expiry further up
+ * and foods about to run out down, drawing the stock down day by day; the plan then
+ * reports what it uses from the pantry and what is missing to cook it.
+ */
+
+import { itemFoods, purchaseQuantity } from './groceryList.js';
+import { toISODate } from '../lib/dates.js';
+
+// Score adjustments for foods on hand, expiring within EXPIRY_SOON_DAYS, or below LOW_STOCK_GRAMS
+export const PANTRY_WEIGHTS = { onHand: 3, expiring: 3, lowStock: 2 };
+const EXPIRY_SOON_DAYS = 3;
+const LOW_STOCK_GRAMS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stock per food on a date (a Date, or 'YYYY-MM-DD' such as the plan's first day):
+ * Map(food_id -> { grams, expiry, days_left, batches[] }). Each pantry item is a batch,
+ * soonest expiry first (undated last); grams and expiry sum up the batches. Items
+ * already past their expiry are left out.
+ */
+export function pantryStock(items, today = new Date()) {
+  const start = Date.parse(toISODate(today));
+  const stock = new Map();
+  (items || []).forEach(({ food_id, quantity, expiry }) => {
+    const daysLeft = expiry ? Math.floor((Date.parse(expiry) - start) / DAY_MS) : null;
+    const grams = Number(quantity) || 0;
+    if ((daysLeft !== null && daysLeft < 0) || grams <= 0) return;
+    const entry = stock.get(food_id) || { grams: 0, expiry: null, days_left: null, batches: [] };
+    entry.grams += grams;
+    entry.batches.push({ grams, expiry: expiry || null, days_left: daysLeft });
+    entry.batches.sort((a, b) => (a.days_left ?? Infinity) - (b.days_left ?? Infinity));
+    entry.expiry = entry.batches[0].expiry;
+    entry.days_left = entry.batches[0].days_left;
+    stock.set(food_id, entry);
+  });
+  return stock;
+}
+
+/**
+ * Pantry status of a food on plan day `day` (0-based): { status, bonus } or null when
+ * it is not on hand. Status is 'expiring', 'on_hand' or 'low_stock'. Recipes take the
+ * status of their ingredients, or 'partly_on_hand' when less than half their grams
+ * are on hand, with the bonus scaled by that share.
+ */
+export function pantryAdjustment(food, stock, day = 0) {
+  if (food.recipe_id) {
+    const parts = food.ingredients.map(({ food_id, grams }) => ({ grams, found: foodStatus(stock.get(food_id), day) }));
+    const total = parts.reduce((sum, p) => sum + p.grams, 0) || 1;
+    const found = parts.filter((p) => p.found);
+    if (!found.length) return null;
+    const share = found.reduce((sum, p) => sum + p.grams, 0) / total;
+    const status = share < 0.5
+      ? 'partly_on_hand'
+      : ['expiring', 'on_hand', 'low_stock'].find((s) => found.some((p) => p.found.status === s));
+    const bonus = found.reduce((sum, p) => sum + p.found.bonus * p.grams, 0) / total;
+    return { status, bonus: Math.round(bonus * 100) / 100 };
+  }
+  return foodStatus(stock.get(food.food_id), day);
+}
+
+/**
+ * Take a day's plan items out of the stock, soonest-expiring batch first; foods used up
+ * leave the pantry. `usage` (optional) tallies per food what the plan needed and what
+ * the stock covered: Map(food_id -> { food_id, name, needed_grams, used_grams }).
+ */
+export function consumeStock(stock, meals, day = 0, usage = null) {
+  meals.forEach((meal) => meal.items.forEach((item) => itemFoods(item).forEach(({ food_id, name, grams }) => {
+    const tally = usage && (usage.get(food_id) || { food_id, name, needed_grams: 0, used_grams: 0 });
+    if (tally) {
+      tally.needed_grams += grams;
+      usage.set(food_id, tally);
+    }
+    const entry = stock.get(food_id);
+    if (!entry) return;
+    let left = grams;
+    usableBatches(entry, day).forEach((batch) => {
+      const taken = Math.min(batch.grams, left);
+      batch.grams -= taken;
+      left -= taken;
+    });
+    if (tally) tally.used_grams += grams - left;
+    entry.batches = entry.batches.filter((b) => b.grams > 0);
+    entry.grams = entry.batches.reduce((sum, b) => sum + b.grams, 0);
+    if (!entry.batches.length) stock.delete(food_id);
+  })));
+}
+
+/**
+ * What a plan takes from the pantry and what it still needs, from the day-by-day
+ * drawdown: `usage` as tallied by consumeStock and `stock` as left after the last
+ * plan day (`lastDay`, 0-based). A food is missing when the batches still good on
+ * the days it is eaten do not cover it; expiring_unused lists stock that goes off
+ * by the end of the plan (or within three days) without being eaten.
+ * Returns { used: [{ food_id, name, used_grams, left_grams }],
+ *           missing: [{ food_id, name, needed_grams, on_hand_grams, short_grams, quantity }],
+ *           expiring_unused: [{ food_id, name, expiry, left_grams }] }
+ */
+export function pantrySummary(usage, stock, foods, lastDay = 0) {
+  const foodsById = new Map(foods.map((f) => [f.food_id, f]));
+  const used = [];
+  const missing = [];
+  usage.forEach(({ food_id, name, needed_grams, used_grams }) => {
+    const short = round(needed_grams - used_grams);
+    if (used_grams > 0) {
+      const left = stock.has(food_id) ? usableBatches(stock.get(food_id), lastDay).reduce((sum, b) => sum + b.grams, 0) : 0;
+      used.push({ food_id, name, used_grams: round(used_grams), left_grams: round(left) });
+    }
+    if (short > 0) {
+      missing.push({
+        food_id,
+        name,
+        needed_grams: round(needed_grams),
+        on_hand_grams: round(used_grams),
+        short_grams: short,
+        quantity: purchaseQuantity(foodsById.get(food_id), short)
+      });
+    }
+  });
+
+  const expiringUnused = [];
+  stock.forEach((entry, food_id) => {
+    const goingOff = entry.batches.filter((b) => b.days_left !== null && b.days_left <= Math.max(lastDay, EXPIRY_SOON_DAYS));
+    if (!goingOff.length) return;
+    expiringUnused.push({
+      food_id,
+      name: foodsById.get(food_id)?.name || null,
+      expiry: goingOff[0].expiry,
+      left_grams: round(goingOff.reduce((sum, b) => sum + b.grams, 0))
+    });
+  });
+
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+  return { used: used.sort(byName), missing: missing.sort(byName), expiring_unused: expiringUnused.sort(byName) };
+}
+
+// Status from the batches still good on this day of the plan
+function foodStatus(entry, day) {
+  const batches = entry ? usableBatches(entry, day) : [];
+  if (!batches.length) return null;
+  const grams = batches.reduce((sum, b) => sum + b.grams, 0);
+  if (grams < LOW_STOCK_GRAMS) return { status: 'low_stock', bonus: -PANTRY_WEIGHTS.lowStock };
+  if (batches[0].days_left !== null && batches[0].days_left - day <= EXPIRY_SOON_DAYS) {
+    return { status: 'expiring', bonus: PANTRY_WEIGHTS.onHand + PANTRY_WEIGHTS.expiring };
+  }
+  return { status: 'on_hand', bonus: PANTRY_WEIGHTS.onHand };
+}
+
+function usableBatches(entry, day) {
+  return entry.batches.filter((b) => b.grams > 0 && (b.days_left === null || b.days_left >= day));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,246 @@
+/**
+ * Edits to a saved plan
+ *
+ * Swaps: alternatives share the replaced item's food type and are rescored against the
+ * plan's profile snapshot, then ranked by how closely they match its calories,
+ * macros and dosha score. Applying a swap rebuilds the meal and day totals and
+ * returns a revision entry for the plan's history.
+ *
+ * Partial regeneration: pinned meals and items become buildPlan locks, so the
+ * engine refills only the rest of each meal's calorie budget around them.
+ */
+
+import { calculateFoodMacros, getMacroTargets } from './nutrition.js';
+import { loadViruddhaRules, conflictsWith } from './compatibility.js';
+import { rasaTargets as getRasaTargets } from './rasa.js';
+import { loadFoodMeasures } from './measures.js';
+import { loadFoodPrices, foodPrice, planCost } from './prices.js';
+import {
+  scoreFoods,
+  toPlanItem,
+  summariseMeal,
+  summariseDay,
+  summariseWeeks,
+  missingTastesAdvisory,
+  inferFoodType,
+  fitsMeal,
+  portionBounds,
+  MAIN_MEALS
+} from './ruleEngine.js';
+
+// Cost of each kind of mismatch when ranking alternatives: relative calorie and macro-gram
+// gaps, and dosha score lost against the current item (a better dosha score costs nothing)
+export const SWAP_WEIGHTS = { calories: 1, macros: 1, dosha: 0.5 };
+
+// Day-1 fields that buildPlan mirrors at the top level of a plan
+const DAY_ONE_FIELDS = [
+  'meals',
+  'total_calories',
+  'macros_consumed',
+  'macro_actuals',
+  'macro_deviation',
+  'calorie_deviation',
+  'rasa_coverage',
+  'advisories'
+];
+
+// Number for the next entry in plan.revisions
+export function nextRevision(plan) {
+  return (plan.revisions?.length || 0) + 1;
+}
+
+// A plan's days; plans saved before multi-day plans only have the day-1 fields at the top level
+export function planDays(plan) {
+  if (plan.days) return plan.days;
+  return [Object.fromEntries(DAY_ONE_FIELDS.filter((field) => field in plan).map((field) => [field, plan[field]]))];
+}
+
+// The item at { day, meal_index, item_index } (day is 1-based), or null
+export function findSlot(plan, { day = 1, meal_index, item_index }) {
+  const planDay = planDays(plan)[day - 1];
+  const meal = planDay?.meals?.[meal_index];
+  const item = meal?.items?.[item_index];
+  return item ? { planDay, meal, item } : null;
+}
+
+/**
+ * Best replacements for one plan item.
+ * data: { foods, rules, viruddhaRules, ... } as for buildPlan; limit caps the list.
+ * Returns { current, alternatives[] }; each alternative is a plan item plus its
+ * score, dosha_score, calorie_difference and swap_cost.
+ */
+export function swapAlternatives(plan, slot, { limit = 5, ...data }) {
+  const { current, ranked } = rankAlternatives(plan, slot, data);
+  return { current, alternatives: ranked.slice(0, limit).map(({ item }) => item) };
+}
+
+/**
+ * Replace one plan item with food_id, which must be one of its alternatives.
+ * Returns { changes, revision } (changes are the plan fields to update), or null.
+ */
+export function applySwap(plan, slot, foodId, data) {
+  const { current, ranked, context } = rankAlternatives(plan, slot, data);
+  const choice = ranked.find(({ item }) => item.food_id === foodId);
+  if (!choice) return null;
+
+  const { day = 1, meal_index, item_index } = slot;
+  const { dosha, scored, rasaTargets, macroTargets, foodsById, viruddhaRules, foodMeasures } = context;
+  const { planDay, meal } = findSlot(plan, slot);
+  const foodsOf = (m) => m.items.map((it) => foodsById.get(it.food_id) || { food_id: it.food_id, name: it.name });
+
+  const items = meal.items.map((it, i) => (i === item_index ? toPlanItem(choice.entry, choice.item.grams, dosha, foodMeasures) : it));
+  const mealFoods = foodsOf({ items });
+  const summary = summariseMeal(meal.meal_type, items, mealFoods, {
+    target: meal.macro_targets?.calories ?? meal.total_calories,
+    macroTargets,
+    rasaTargets,
+    viruddhaRules
+  });
+
+  const meals = planDay.meals.map((m, i) => (i === meal_index ? summary : m));
+  // Refresh the meal's missing-taste advisory
+  const advisories = (planDay.advisories || [])
+    .filter((a) => !(a.type === 'missing_tastes' && a.meal_type === meal.meal_type));
+  if (MAIN_MEALS.includes(meal.meal_type) && summary.rasa_coverage.missing.length) {
+    const mealFoodIds = new Set(mealFoods.map((f) => f.food_id));
+    advisories.push(missingTastesAdvisory(meal.meal_type, summary.rasa_coverage.missing, scored, mealFoodIds));
+  }
+
+  const updatedDay = {
+    ...planDay,
+    ...summariseDay(meals, meals.map(foodsOf), { target: plan.target_calories, macroTargets, rasaTargets }),
+    advisories
+  };
+  const days = planDays(plan).map((d, i) => (i === day - 1 ? updatedDay : d));
+  const changes = { days, weekly_totals: summariseWeeks(days) };
+  if (plan.estimated_cost) {
+    const { region, budget_per_day: budgetPerDay } = plan.estimated_cost;
+    changes.estimated_cost = planCost(days, { region, budgetPerDay });
+  }
+  if (day === 1) DAY_ONE_FIELDS.forEach((field) => { changes[field] = updatedDay[field]; });
+
+  const revision = {
+    revision: nextRevision(plan),
+    type: 'swap',
+    day,
+    meal_type: meal.meal_type,
+    meal_index,
+    item_index,
+    from: { food_id: current.food_id, name: current.name, grams: current.grams },
+    to: { food_id: choice.item.food_id, name: choice.item.name, grams: choice.item.grams }
+  };
+  return { changes, revision };
+}
+
+// Same-type foods not already in the day, free of viruddha conflicts with the rest of
+// the meal, portioned to the current item's calories and sorted by swap cost
+function rankAlternatives(plan, slot, {
+  foods,
+  rules,
+  viruddhaRules = loadViruddhaRules(),
+  dietClasses,
+  contraindications,
+  allergenTaxonomy,
+  foodAllergenMap,
+  foodMeasures = loadFoodMeasures(),
+  foodPrices = loadFoodPrices()
+}) {
+  const profile = plan.profile_snapshot || {};
+  const { planDay, meal, item: current } = findSlot(plan, slot);
+  // Rescored for the day's own date (and so its season); older plans fall back to when they were made
+  const { dosha, doshaWeights, scored, scoreFood } = scoreFoods({
+    profile,
+    foods,
+    rules,
+    dietClasses,
+    contraindications,
+    allergenTaxonomy,
+    foodAllergenMap,
+    date: planDay.date ?? plan.plan_date ?? plan.date_generated
+  });
+  const foodsById = new Map(foods.map((f) => [f.food_id, f]));
+  const currentFood = foodsById.get(current.food_id) || { food_id: current.food_id, name: current.name };
+  const currentEntry = scored.find((s) => s.f.food_id === current.food_id) || scoreFood(currentFood);
+
+  const type = inferFoodType(currentFood);
+  const dayFoodIds = new Set(planDay.meals.flatMap((m) => m.items.map((it) => it.food_id)));
+  const mealFoods = meal.items
+    .filter((_, i) => i !== slot.item_index)
+    .map((it) => foodsById.get(it.food_id))
+    .filter(Boolean);
+  const [minGrams, maxGrams] = portionBounds(meal.meal_type);
+  const macroKeys = ['protein', 'carbs', 'fats'];
+  const currentGrams = macroKeys.reduce((sum, k) => sum + (current.macros[k] || 0), 0);
+
+  const ranked = scored
+    .filter((s) => inferFoodType(s.f) === type && !dayFoodIds.has(s.f.food_id) && fitsMeal(s.f, meal.meal_type))
+    .filter((s) => !conflictsWith(s.f, mealFoods, viruddhaRules))
+    .map((scoredEntry) => {
+      // Alternatives are costed at the plan's prices, not screened against its budget
+      const entry = { ...scoredEntry, price: foodPrice(scoredEntry.f, plan.estimated_cost?.region, foodPrices) };
+      const kcal = Number(entry.f.calories_100g) || 0;
+      const upper = Math.min(maxGrams, entry.maxGrams ?? maxGrams);
+      const grams = Math.max(minGrams, Math.min(upper, kcal > 0
+        ? Math.round((current.macros.calories / kcal) * 100)
+        : current.grams));
+      const macros = calculateFoodMacros(entry.f, grams);
+      const calorieGap = Math.abs(macros.calories - current.macros.calories) / Math.max(current.macros.calories, 1);
+      const macroGap = macroKeys
+        .reduce((sum, k) => sum + Math.abs(macros[k] - (current.macros[k] || 0)), 0) / Math.max(currentGrams, 1);
+      const doshaGap = Math.max(0, currentEntry.reasons.sDosha - entry.reasons.sDosha);
+      const cost = SWAP_WEIGHTS.calories * calorieGap + SWAP_WEIGHTS.macros * macroGap + SWAP_WEIGHTS.dosha * doshaGap;
+      return {
+        entry,
+        cost,
+        item: {
+          ...toPlanItem(entry, grams, dosha, foodMeasures),
+          score: round(entry.score),
+          dosha_score: entry.reasons.sDosha,
+          calorie_difference: macros.calories - current.macros.calories,
+          swap_cost: round(cost)
+        }
+      };
+    })
+    .sort((a, b) => a.cost - b.cost || b.entry.score - a.entry.score);
+
+  return {
+    current,
+    ranked,
+    context: {
+      dosha,
+      scored,
+      foodsById,
+      viruddhaRules,
+      foodMeasures,
+      macroTargets: getMacroTargets(profile),
+      rasaTargets: getRasaTargets(doshaWeights)
+    }
+  };
+}
+
+/**
+ * Partial regeneration: turn pins on a saved plan ({ day, meal_index, item_index? })
+ * into buildPlan locks. A pin without item_index locks the whole meal; item pins keep
+ * the food at its current portion. Returns null if a pin points at nothing.
+ */
+export function locksFromPlan(plan, pins) {
+  const byMeal = new Map();
+  for (const { day = 1, meal_index, item_index } of pins) {
+    const meal = planDays(plan)[day - 1]?.meals?.[meal_index];
+    const items = item_index === undefined ? meal?.items : [meal?.items?.[item_index]];
+    if (!meal || !items?.every(Boolean)) return null;
+
+    const key = `${day}:${meal.meal_type}`;
+    const lock = byMeal.get(key) || { day, meal_type: meal.meal_type, items: [], complete: false };
+    items.forEach(({ food_id, grams }) => {
+      if (!lock.items.some((it) => it.food_id === food_id)) lock.items.push({ food_id, grams });
+    });
+    lock.complete = lock.complete || item_index === undefined;
+    byMeal.set(key, lock);
+  }
+  return [...byMeal.values()];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,85 @@
+/**
+ * Food prices and budgets
+ * data/food_prices.csv gives each food a retail price per kg (INR), nationally and for
+ * regions where it differs; foods seeded into the database carry the same table as
+ * `prices`. Recipes are priced through their ingredients and spices. With a daily
+ * budget, buildPlan ranks foods whose typical portion costs more than its share of
+ * the budget lower and portions them down (see budgetAdjustment).
+ */
+
+import { readDataCSV } from '../lib/csv.js';
+
+export const PRICE_CURRENCY = 'INR';
+export const PRICE_REGIONS = ['national', 'north', 'south', 'east', 'west'];
+
+// Score lost per doubling of a portion's cost over its share of the daily budget
+export const BUDGET_WEIGHT = 2;
+// Items in a full day of meals (3 each for breakfast, lunch and dinner, 2 for the snack)
+const BUDGET_ITEMS_PER_DAY = 11;
+
+// Map(food_id -> { national, north?, ... }) of prices per kg
+export function loadFoodPrices() {
+  const prices = new Map();
+  readDataCSV('food_prices.csv').forEach((row) => {
+    const price = Number(row.price_per_kg);
+    if (!Number.isFinite(price) || price <= 0) return;
+    prices.set(row.food_id, { ...prices.get(row.food_id), [row.region || 'national']: price });
+  });
+  return prices;
+}
+
+// Price per kg in a region (falling back to the national price), or null when unknown.
+// A recipe costs the gram-weighted price of its ingredients and spices.
+export function foodPrice(food, region = 'national', prices = loadFoodPrices()) {
+  if (food.recipe_id) {
+    const parts = [...food.ingredients, ...food.spices];
+    const partPrices = parts.map((part) => foodPrice(part.food, region, prices));
+    if (!parts.length || partPrices.includes(null)) return null;
+    const grams = parts.reduce((sum, part) => sum + part.grams, 0);
+    return round(parts.reduce((sum, part, i) => sum + partPrices[i] * part.grams, 0) / grams);
+  }
+  const table = food.prices || prices.get(food.food_id);
+  return table?.[region] ?? table?.national ?? null;
+}
+
+// Cost of raw grams at a price per kg
+export function itemCost(pricePerKg, grams) {
+  return round((pricePerKg * grams) / 1000);
+}
+
+/**
+ * Budget fit of a food priced per kg: a portionGrams portion against its share of
+ * budgetPerDay. Returns { penalty, maxGrams } for foods over their share - BUDGET_WEIGHT
+ * per doubling of the overrun, and the grams the share buys (not below minGrams) -
+ * or null when the food fits or has no price.
+ */
+export function budgetAdjustment(pricePerKg, budgetPerDay, { portionGrams, minGrams }) {
+  if (!pricePerKg) return null;
+  const share = budgetPerDay / BUDGET_ITEMS_PER_DAY;
+  const overrun = itemCost(pricePerKg, portionGrams) / share;
+  if (overrun <= 1) return null;
+  return {
+    penalty: round(BUDGET_WEIGHT * Math.log2(overrun)),
+    maxGrams: Math.max(minGrams, Math.floor((share / pricePerKg) * 1000))
+  };
+}
+
+/**
+ * Estimated cost of a plan from its days' `cost`:
+ * { currency, region, total, per_day, budget_per_day, days_over_budget[] }
+ */
+export function planCost(days, { region = 'national', budgetPerDay = null } = {}) {
+  const total = round(days.reduce((sum, d) => sum + (d.cost || 0), 0));
+  return {
+    currency: PRICE_CURRENCY,
+    region,
+    total,
+    per_day: round(total / Math.max(days.length, 1)),
+    budget_per_day: budgetPerDay,
+    days_over_budget: budgetPerDay ? days.filter((d) => d.cost > budgetPerDay).map((d) => d.day) : []
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,93 @@
+/**
+ * Shad Rasa (six tastes) balance
+ * Every main meal should carry all six tastes, in proportions that favour the
+ * tastes which pacify the target dosha.
+ */
+
+import { foodGroup } from './foodGroups.js';
+
+export const RASAS = ['sweet', 'sour', 'salty', 'pungent', 'bitter', 'astringent'];
+
+// Ideal share of each taste in a meal, per dosha (each row sums to 1)
+const RASA_PROPORTIONS = {
+  Vata: { sweet: 0.3, sour: 0.2, salty: 0.2, pungent: 0.1, bitter: 0.1, astringent: 0.1 },
+  Pitta: { sweet: 0.3, sour: 0.1, salty: 0.1, pungent: 0.1, bitter: 0.2, astringent: 0.2 },
+  Kapha: { sweet: 0.1, sour: 0.1, salty: 0.1, pungent: 0.3, bitter: 0.2, astringent: 0.2 }
+};
+
+// Groups that can fill a taste gap in small amounts
+const CONDIMENT_GROUPS = ['spice', 'sweetener'];
+
+export function foodRasas(food) {
+  const tastes = food.tastes || food.rasa || '';
+  const list = Array.isArray(tastes) ? tastes : String(tastes).split(',');
+  return list.map((t) => String(t).trim().toLowerCase()).filter((t) => RASAS.includes(t));
+}
+
+// Blend per-dosha proportions by dosha weight, e.g. { Vata: 0.6, Pitta: 0.4 }
+export function rasaTargets(doshaWeights) {
+  const targets = Object.fromEntries(RASAS.map((r) => [r, 0]));
+  const entries = Object.entries(doshaWeights || {}).filter(([d]) => RASA_PROPORTIONS[d]);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0) || 1;
+  entries.forEach(([d, w]) => {
+    RASAS.forEach((r) => { targets[r] += (RASA_PROPORTIONS[d][r] * w) / total; });
+  });
+  return Object.fromEntries(RASAS.map((r) => [r, round(targets[r])]));
+}
+
+/**
+ * Taste profile of a set of foods. Each food counts once, split evenly across
+ * its tastes, so a pinch of spice carries as much taste as a bowl of rice.
+ * balance is 1 when proportions match the targets exactly, 0 when disjoint.
+ */
+export function rasaCoverage(foods, targets) {
+  const counts = Object.fromEntries(RASAS.map((r) => [r, 0]));
+  foods.forEach((f) => {
+    const rasas = foodRasas(f);
+    rasas.forEach((r) => { counts[r] += 1 / rasas.length; });
+  });
+
+  const total = Object.values(counts).reduce((sum, v) => sum + v, 0);
+  const proportions = Object.fromEntries(RASAS.map((r) => [r, total ? round(counts[r] / total) : 0]));
+  const distance = RASAS.reduce((sum, r) => sum + Math.abs(proportions[r] - targets[r]), 0) / 2;
+
+  return {
+    present: RASAS.filter((r) => counts[r] > 0),
+    missing: RASAS.filter((r) => counts[r] === 0),
+    proportions,
+    target: targets,
+    balance: round(1 - distance)
+  };
+}
+
+// Score bonus for a candidate that brings tastes the meal does not have yet
+export function rasaGapBonus(food, mealFoods, targets) {
+  const present = new Set(mealFoods.flatMap(foodRasas));
+  return foodRasas(food)
+    .filter((r) => !present.has(r))
+    .reduce((sum, r) => sum + targets[r], 0);
+}
+
+/**
+ * Suggest condiments and spices to fill missing tastes, best plan score first.
+ * `scored` is the plan's ranked list. A taste no condiment carries gets an empty
+ * list: a whole dish is not something to add "a little" of.
+ */
+export function suggestTasteFillers(missing, scored, excludeIds = new Set(), perTaste = 2) {
+  return Object.fromEntries(missing.map((rasa) => {
+    const options = scored
+      .filter(({ f }) => foodRasas(f).includes(rasa) && isCondiment(f) && !excludeIds.has(f.food_id || f.name))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, perTaste)
+      .map(({ f }) => ({ food_id: f.food_id, name: f.name, tastes: foodRasas(f) }));
+    return [rasa, options];
+  }));
+}
+
+function isCondiment(food) {
+  return CONDIMENT_GROUPS.includes(foodGroup(food));
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,133 @@
+/**
+ * Recipes
+ * A recipe (data/recipes.csv, or the recipes collection) composes foods into a dish:
+ * ingredient and spice amounts per serving reference food_id, so nutrition is rolled
+ * up from the foods table. recipeAsFood turns a recipe into a food-shaped entry that
+ * the planner scores, screens and portions like any other food.
+ */
+
+import { calculateFoodMacros } from './nutrition.js';
+
+const DOSHAS = ['Vata', 'Pitta', 'Kapha'];
+
+/**
+ * Nutrition for one serving: calculateFoodMacros summed over ingredients and spices.
+ * Returns { grams (raw), calories, protein, carbs, fats, missing_foods[] }; food_ids
+ * missing from foodsById are listed rather than counted.
+ */
+export function recipeNutrition(recipe, foodsById) {
+  const totals = { grams: 0, calories: 0, protein: 0, carbs: 0, fats: 0 };
+  const missing = [];
+  [...recipe.ingredients, ...(recipe.spices || [])].forEach(({ food_id, grams }) => {
+    const food = foodsById.get(food_id);
+    if (!food) {
+      missing.push(food_id);
+      return;
+    }
+    const macros = calculateFoodMacros(food, grams);
+    totals.grams += grams;
+    totals.calories += macros.calories;
+    totals.protein += macros.protein;
+    totals.carbs += macros.carbs;
+    totals.fats += macros.fats;
+  });
+  return {
+    grams: round(totals.grams),
+    calories: Math.round(totals.calories),
+    protein: round(totals.protein),
+    carbs: round(totals.carbs),
+    fats: round(totals.fats),
+    missing_foods: missing
+  };
+}
+
+/**
+ * Food-shaped view of a recipe for the rule engine. Nutrition is per 100 g of raw
+ * ingredients, so plan portions stay in raw grams like every other item; the measure
+ * converts them to servings ("1 katori tur dal tadka"). The rule matrix reads
+ * dosha_impact as the doshas a food aggravates, with 'Balancing' for tridoshic dishes.
+ */
+export function recipeAsFood(recipe, foodsById) {
+  const nutrition = recipeNutrition(recipe, foodsById);
+  const rawGrams = nutrition.grams || 1;
+  const per100 = (value) => Math.round((value / rawGrams) * 10000) / 100;
+  const servingGrams = recipe.serving_grams || rawGrams;
+  const pacifies = recipe.pacifies || [];
+  const aggravates = recipe.aggravates || [];
+  const tridoshic = !aggravates.length && DOSHAS.every((d) => pacifies.includes(d));
+  const withFoods = (parts = []) => parts
+    .map((part) => ({ ...part, food: foodsById.get(part.food_id) }))
+    .filter((part) => part.food);
+
+  return {
+    food_id: recipe.recipe_id,
+    recipe_id: recipe.recipe_id,
+    name: recipe.name,
+    type: recipe.type,
+    meal_types: recipe.meal_types || [],
+    dosha_impact: [...aggravates, ...(tridoshic ? ['Balancing'] : [])].join(','),
+    tastes: recipe.tastes,
+    qualities: recipe.qualities,
+    energy: recipe.energy,
+    season: (recipe.season || []).join(','),
+    calories_100g: per100(nutrition.calories),
+    protein_100g: per100(nutrition.protein),
+    carbs_100g: per100(nutrition.carbs),
+    fat_100g: per100(nutrition.fats),
+    method: recipe.method,
+    ingredients: withFoods(recipe.ingredients),
+    spices: withFoods(recipe.spices),
+    raw_serving_grams: rawGrams,
+    measure: {
+      form: 'cooked',
+      cooked_yield: servingGrams / rawGrams,
+      unit: recipe.unit,
+      unit_grams: servingGrams / (recipe.units_per_serving || 1),
+      label: recipe.name.toLowerCase()
+    }
+  };
+}
+
+// Foods plus every recipe as a food, the list the planner and plan edits choose from
+export function withRecipes(foods, recipes) {
+  const foodsById = new Map(foods.map((f) => [f.food_id, f]));
+  return [...foods, ...recipes.map((r) => recipeAsFood(r, foodsById))];
+}
+
+// Ingredients and spices of a recipe food scaled to a portion of raw grams
+export function recipeIngredients(food, grams) {
+  const scale = grams / (food.raw_serving_grams || grams);
+  const scaled = (parts) => parts.map(({ food_id, grams: g, food: f }) => ({
+    food_id,
+    name: f.name,
+    grams: g * scale >= 10 ? Math.round(g * scale) : round(g * scale)
+  }));
+  return { ingredients: scaled(food.ingredients), spices: scaled(food.spices) };
+}
+
+// A recipe food's ingredient and spice foods, used to screen and match it by its contents
+export function recipeParts(food) {
+  return food.recipe_id ? [...food.ingredients, ...food.spices].map((part) => part.food) : [];
+}
+
+/**
+ * Recipes for GET /recipes filters.
+ * dosha: "Vata" or "Vata-Pitta" - the recipe pacifies each and aggravates none;
+ * season: listed in the recipe's seasons, or the recipe is for all seasons.
+ */
+export function filterRecipes(recipes, { dosha, season } = {}) {
+  const doshas = dosha ? dosha.split('-').map(capitalise) : [];
+  const wanted = season?.toLowerCase();
+  return recipes.filter((r) =>
+    doshas.every((d) => r.pacifies.includes(d) && !r.aggravates.includes(d)) &&
+    (!wanted || r.season.includes(wanted) || r.season.includes('all')));
+}
+
+function capitalise(word) {
+  const w = word.trim().toLowerCase();
+  return w.charAt(0).toUpperCase() + w.slice(1);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -1,166 +1,781 @@
-import { calculateTargetCalories, getMacroTargets, calculateFoodMacros, distributeMealCalories } from './nutrition.js';
+import {
+  calculateTargetCalories,
+  getMacroTargets,
+  getMacroGrams,
+  toMacroGrams,
+  calculateFoodMacros,
+  calculateMacroSplit,
+  distributeMealCalories
+} from './nutrition.js';
+import { evaluateRules } from './ruleInterpreter.js';
+import { loadRulesFromCSV } from '../models/rules.js';
+import { foodGroup } from './foodGroups.js';
+import { loadViruddhaRules, conflictsWith, findIncompatibilities } from './compatibility.js';
+import { rasaTargets as getRasaTargets, rasaCoverage, rasaGapBonus, suggestTasteFillers, foodRasas } from './rasa.js';
+import { optimizeDay } from './optimizer.js';
+import { loadDietClasses, dietViolation } from './dietPatterns.js';
+import { loadContraindications, loadFoodNutrients, findContraindications } from './contraindications.js';
+import { loadAllergenTaxonomy, loadFoodAllergens, resolveAllergies, matchAllergy } from './allergens.js';
+import { matchesFoodTerm } from './foodSelectors.js';
+import { loadFoodMeasures, householdMeasure } from './measures.js';
+import { recipeParts, recipeIngredients } from './recipes.js';
+import { pantryStock, pantryAdjustment, consumeStock, pantrySummary } from './pantry.js';
+import { loadFoodPrices, foodPrice, itemCost, budgetAdjustment, planCost } from './prices.js';
+import { getRitu, seasonWeights } from './seasons.js';
+import { toISODate, addDays, weekdayOf } from '../lib/dates.js';
 
 /**
  * Advanced Rule Engine based on Ayurvedic principles
  * Mirrors the Python implementation from rule_engine.py
  */
 
-// Inputs: profile, foods[], plan_type, targetCalories
-// Output: { meals[], macros, dosha_target, explanation_logs[] }
-export function buildPlan({ profile, foods, plan_type = 'daily', targetCalories }) {
-  const dosha = profile.dosha_result || inferDosha(profile);
-  const month = new Date().getMonth() + 1; // 1..12
-  const season = getSeasonFromMonth(month);
+// Days generated per plan type; weekly and monthly plans rotate foods day to day
+const PLAN_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+const MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+// Meals expected to carry all six tastes
+export const MAIN_MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// Food types each meal is built from
+const MEAL_PREFS = {
+  breakfast: ['grain', 'fruit', 'dairy', 'nut'],
+  lunch: ['grain', 'legume', 'vegetable', 'protein'],
+  snack: ['fruit', 'nut', 'dairy'],
+  dinner: ['grain', 'legume', 'vegetable', 'protein']
+};
+
+// Typical portion per food by meal; portions range from 50 g to 1.5x this
+const MEAL_BASE_GRAMS = { breakfast: 120, lunch: 150, snack: 80, dinner: 130 };
+const MIN_PORTION_GRAMS = 50;
+// Portion a food's cost is judged at against a daily budget
+const TYPICAL_PORTION_GRAMS = 120;
+
+// Largest portion of a food the profile's conditions say to limit
+const LIMITED_PORTION_GRAMS = 75;
+
+// Alternatives of each preferred food type the optimizer tries when swapping foods
+const OPTIMIZER_CANDIDATES_PER_TYPE = 3;
+
+// Share of dosha scoring given to vikriti when both assessments are present
+const VIKRITI_SHARE = 0.7;
+
+// Inputs: profile, foods[] (recipes included as foods, see recipes.js withRecipes), plan_type, targetCalories,
+//         rules[] (defaults to data/rule_matrix.csv), viruddhaRules[] (defaults to data/viruddha_ahara.csv),
+//         dietClasses (defaults to data/food_diet_classes.csv),
+//         contraindications[], foodNutrients (default to data/contraindications.csv, data/food_nutrients.csv),
+//         allergenTaxonomy[], foodAllergenMap (default to data/allergens.csv, data/food_allergens.csv),
+//         foodMeasures (defaults to data/food_measures.csv),
+//         locks[] (pre-filled meals: { day, meal_type, items: [{ food_id, grams? }], complete? }),
+//         pantry[] (pantry mode: foods on hand, { food_id, quantity, expiry? }; see pantry.js),
+//         foodPrices (defaults to data/food_prices.csv), region, budgetPerDay (see prices.js),
+//         date (day 1 of the plan, 'YYYY-MM-DD' or a Date; defaults to today, UTC)
+// Output: { meals[], days[], weekly_totals[], macro_targets (% and grams), macros_consumed, macro_deviation, dosha_target,
+//           estimated_cost, explanation_logs[], pantry? }
+export function buildPlan({
+  profile,
+  foods,
+  plan_type = 'daily',
+  targetCalories,
+  rules = loadRulesFromCSV(),
+  viruddhaRules = loadViruddhaRules(),
+  dietClasses = loadDietClasses(),
+  contraindications = loadContraindications(),
+  foodNutrients = loadFoodNutrients(),
+  allergenTaxonomy = loadAllergenTaxonomy(),
+  foodAllergenMap = loadFoodAllergens(),
+  foodMeasures = loadFoodMeasures(),
+  locks = [],
+  pantry = null,
+  foodPrices = loadFoodPrices(),
+  region = 'national',
+  budgetPerDay = null,
+  date = new Date()
+}) {
+  const dayCount = PLAN_DAYS[plan_type] ?? 1;
+  const dates = Array.from({ length: dayCount }, (_, d) => addDays(toISODate(date), d));
+
+  // Each day is scored for the ritu of its date, so a plan running into the next season
+  // follows it; foods are scored once per distinct season weighting. Every food is priced
+  // for the region; with a budget, foods over their share of it rank lower in smaller portions.
+  const price = (entry) => priceEntry(entry, { foodPrices, region, budgetPerDay });
+  const scorings = new Map();
+  const scoringFor = (day) => {
+    const key = JSON.stringify(seasonWeights(getRitu({ date: day, ...profile.location })));
+    if (!scorings.has(key)) {
+      const result = scoreFoods({ profile, foods, rules, dietClasses, contraindications, foodNutrients, allergenTaxonomy, foodAllergenMap, date: day });
+      scorings.set(key, {
+        ...result,
+        scored: result.scored.map(price).sort((a, b) => b.score - a.score),
+        scoreFood: (f) => price(result.scoreFood(f))
+      });
+    }
+    return scorings.get(key);
+  };
+  const { prakriti, vikriti, dosha, doshaWeights, season, ritu, prefs, W, allergies, filteredOut, scored, scoreFood } =
+    scoringFor(dates[0]);
 
   // Calculate target if not provided
   const target = targetCalories ?? calculateTargetCalories(profile);
 
-  // Weights - balanced to prevent single-food dominance
-  const W = { dosha: 2, seasonal: 1.5, nutrition: 1.5, prefPenalty: 2.0 };
-
-  // 1) filter contraindications and preferences
-  const banned = new Set((profile.preferences?.disliked || []).map((s) => s.toLowerCase()));
-  const allergies = new Set((profile.allergies || []).map((s) => s.toLowerCase()));
-  const allowedFoods = (foods || []).filter(
-    (f) =>
-      !banned.has((f.name || '').toLowerCase()) &&
-      !allergies.has((f.name || '').toLowerCase()) &&
-      !isContra(profile, f)
-  );
-
-  // 2) score using comprehensive Ayurvedic rules
-  const scored = allowedFoods
-    .map((f) => {
-      const sDosha = scoreDoshaComprehensive(dosha, f);
-      const sSeason = scoreSeasonMatch(season, f);
-      const sNut = scoreNutrition(profile, f);
-      const penalty = banned.has((f.name || '').toLowerCase()) ? W.prefPenalty : 0;
-      const score = sDosha * W.dosha + sSeason * W.seasonal + sNut * W.nutrition - penalty;
-      return { f, score, reasons: { sDosha, sSeason, sNut, season } };
-    })
-    .sort((a, b) => b.score - a.score);
-
-  // 3) assemble meals to match targetCalories using greedy packer
+  // 3) assemble each day's meals, rotating foods across the week
   const macroTargets = getMacroTargets(profile);
-  const mealTypes = plan_type === 'daily' ? ['breakfast', 'lunch', 'snack', 'dinner'] : ['breakfast', 'lunch', 'dinner'];
-
-  const mealCalories = distributeMealCalories(target, mealTypes.length);
-  const meals = [];
-  let totalCals = 0;
-
-  // Track used food IDs to ensure variety within the day
-  const usedFoodIds = new Set();
-
-  mealTypes.forEach((mt, idx) => {
-    const targetMealCal = mealCalories[idx];
-    const pick = pickFoodForMeal(scored, targetMealCal, mt, dosha, usedFoodIds);
-    const items = pick.items.map(({ f, grams, portion, macros, why }) => ({
-      food_id: f.food_id || f.id || (f._id ? String(f._id) : undefined),
-      name: f.name,
-      portion,
-      grams,
-      macros,
-      why
-    }));
-    const mealTotal = items.reduce((sum, it) => sum + (it.macros?.calories || 0), 0);
-    totalCals += mealTotal;
-    
-    // Add selected foods to used set for variety
-    items.forEach(item => usedFoodIds.add(item.food_id || item.name));
-    
-    meals.push({
-      meal_type: mt,
-      items,
-      total_calories: mealTotal,
-      explanations: items.map((it) => it.why).filter(Boolean)
+  const rasaTargets = getRasaTargets(doshaWeights);
+  const days = [];
+
+  const explanationLogs = [];
+  const selectedIds = new Set();
+
+  // Number of days each food has appeared in the current week
+  const weeklyUsage = new Map();
+  let previousDayFoods = new Set();
+
+  // Pantry mode: stock is drawn down as each day is planned
+  const stock = pantry ? pantryStock(pantry, dates[0]) : null;
+  const pantryUsage = new Map();
+
+  for (let d = 0; d < dayCount; d++) {
+    if (d % 7 === 0) weeklyUsage.clear();
+    const dayScoring = scoringFor(dates[d]);
+
+    // Push recently used foods down the ranking so the week rotates; in pantry
+    // mode foods on hand (and near expiry) move up and foods running out move down
+    const ranked = dayScoring.scored
+      .map((s) => {
+        const rotationPenalty = (weeklyUsage.get(foodKey(s.f)) || 0) * W.repeatPenalty;
+        const inPantry = stock ? pantryAdjustment(s.f, stock, d) : null;
+        return { ...s, score: s.score - rotationPenalty + (inPantry?.bonus || 0), rotationPenalty, pantry: inPantry };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const { foodIds, picks, ...day } = assembleDay(ranked, {
+      locks: resolveLocks(locks.filter((l) => (l.day ?? 1) === d + 1), ranked, { scoreFood: dayScoring.scoreFood, foods, filteredOut }),
+      target,
+      macroTargets,
+      dosha,
+      previousDayFoods,
+      viruddhaRules,
+      rasaTargets,
+      rasaWeight: W.rasa,
+      foodMeasures,
+      guaranteeFavourite: prefs.favourite_guarantee !== false
     });
-  });
+    days.push({
+      day: d + 1,
+      date: dates[d],
+      weekday: weekdayOf(dates[d]),
+      ritu: getRitu({ date: dates[d], ...profile.location }).id,
+      ...day
+    });
+    if (stock) consumeStock(stock, day.meals, d, pantryUsage);
+    picks.forEach(({ mealType, item }) => {
+      explanationLogs.push({ day: d + 1, meal_type: mealType, ...traceSelection(item, W) });
+      selectedIds.add(foodKey(item.f));
+    });
+
+    previousDayFoods = foodIds;
+    foodIds.forEach((id) => weeklyUsage.set(id, (weeklyUsage.get(id) || 0) + 1));
+  }
 
   return {
     season,
+    ritu,
     dosha_target: dosha,
+    prakriti,
+    vikriti,
+    dosha_weights: doshaWeights,
     target_calories: target,
-    total_calories: totalCals,
-    macro_targets: macroTargets,
-    meals,
-    explanation_logs: []
+    // Single-day fields mirror day 1 so daily consumers keep working
+    total_calories: days[0].total_calories,
+    // Percentages plus gram targets for the day's calories
+    macro_targets: { ...macroTargets, ...getMacroGrams(target, macroTargets) },
+    macros_consumed: days[0].macros_consumed,
+    macro_actuals: days[0].macro_actuals,
+    macro_deviation: days[0].macro_deviation,
+    calorie_deviation: days[0].calorie_deviation,
+    meals: days[0].meals,
+    rasa_coverage: days[0].rasa_coverage,
+    advisories: days[0].advisories,
+    days,
+    weekly_totals: summariseWeeks(days),
+    allergens_screened: allergies.map((a) => ({
+      ...a,
+      food_count: filteredOut.filter(({ allergy }) => allergy === a).length
+    })),
+    contraindications: summariseContraindications(filteredOut, scored),
+    explanation_logs: [...explanationLogs, ...traceRejections(filteredOut, scored, selectedIds, scoreFood, W)],
+    estimated_cost: planCost(days, { region, budgetPerDay }),
+    ...(pantry ? { pantry: pantrySummary(pantryUsage, stock, foods, dayCount - 1) } : {})
   };
 }
 
-// ---------------------- Helper Functions ----------------------
-
-function inferDosha(profile) {
-  // Simple fallback inference; production should use quiz
-  return profile?.dosha_result || 'Vata';
+// A scored entry with its price per kg and, under a daily budget, the budget penalty and portion cap
+function priceEntry(entry, { foodPrices, region, budgetPerDay }) {
+  const price = foodPrice(entry.f, region, foodPrices);
+  const budget = budgetPerDay
+    ? budgetAdjustment(price, budgetPerDay, { portionGrams: TYPICAL_PORTION_GRAMS, minGrams: MIN_PORTION_GRAMS })
+    : null;
+  if (!budget) return { ...entry, price };
+  return {
+    ...entry,
+    price,
+    score: entry.score - budget.penalty,
+    reasons: { ...entry.reasons, budgetPenalty: budget.penalty },
+    maxGrams: Math.min(entry.maxGrams ?? Infinity, budget.maxGrams)
+  };
 }
 
-function isContra(profile, food) {
+/**
+ * Filter and score foods for a profile: steps 1 and 2 of buildPlan, shared with
+ * plan edits (services/planEdits.js) so a saved plan is rescored the same way.
+ * Returns the dosha context, weights, removed foods and the allowed foods ranked by score.
+ */
+export function scoreFoods({
+  profile,
+  foods,
+  rules = loadRulesFromCSV(),
+  dietClasses = loadDietClasses(),
+  contraindications = loadContraindications(),
+  foodNutrients = loadFoodNutrients(),
+  allergenTaxonomy = loadAllergenTaxonomy(),
+  foodAllergenMap = loadFoodAllergens(),
+  date = new Date()
+}) {
+  // Pacify the current imbalance (vikriti) while staying compatible with constitution (prakriti)
+  const prakriti = profile.dosha_result || inferDosha(profile);
+  const vikriti = profile.vikriti_result || null;
+  const dosha = vikriti || prakriti;
+  const doshaWeights = vikriti
+    ? blendDoshaWeights(
+      resolveDoshaWeights(vikriti, profile.vikriti_percentages),
+      resolveDoshaWeights(prakriti, profile.dosha_percentages),
+      VIKRITI_SHARE
+    )
+    : resolveDoshaWeights(prakriti, profile.dosha_percentages);
+  // Ritu for the date and the user's hemisphere; during a ritu-sandhi both seasons' rules count
+  const ritu = getRitu({ date, ...profile.location });
+  const season = ritu.season;
+  const seasons = seasonWeights(ritu);
+
+  // Preferences: liked foods get a boost (profile-configurable); disliked foods are
+  // removed unless dislike_mode is 'penalize', in which case they only lose prefPenalty
+  const prefs = profile.preferences || {};
+  const isLiked = (f) => (prefs.liked || []).some((term) => matchesFoodTerm(f, term));
+  const isDisliked = (f) => (prefs.disliked || []).some((term) => matchesFoodTerm(f, term));
+  const softDislike = prefs.dislike_mode === 'penalize';
+
+  // Weights - balanced to prevent single-food dominance
+  const W = {
+    dosha: 2,
+    seasonal: 1.5,
+    nutrition: 1.5,
+    rules: 1,
+    rasa: 2,
+    likedBoost: prefs.liked_boost ?? 1.5,
+    prefPenalty: 2.0,
+    repeatPenalty: 1.5,
+    limitPenalty: 1.5
+  };
+
+  // 1) filter allergens, preferences, diet pattern and contraindications, remembering why each food was removed
+  // "peanuts" screens the peanut family (groundnuts included); other terms match food names
+  const allergies = resolveAllergies(profile.allergies, allergenTaxonomy);
   const conditions = profile.medical_conditions || [];
-  // Example contraindications
-  if (conditions.includes('diabetes') && (food.food_id || '').toLowerCase().startsWith('i')) return true; // sweeteners
-  if (conditions.includes('hypertension') && (food.tastes || '').includes('salty')) return true;
-  return false;
-}
+  const screen = (f) => {
+    const allergy = matchAllergy(f, allergies, foodAllergenMap, allergenTaxonomy);
+    if (allergy) {
+      const detail = allergy.allergen
+        ? `Contains ${allergy.label.toLowerCase()} (allergy "${allergy.requested}")`
+        : `Matches allergy "${allergy.requested}"`;
+      return { filter: 'allergy', detail, allergy };
+    }
+    if (!softDislike && isDisliked(f)) return { filter: 'disliked', detail: 'Listed in preferences.disliked' };
+    const diet = dietViolation(f, profile.diet_pref, dietClasses);
+    if (diet) return { filter: 'diet', detail: diet };
+    const contra = findContraindications(f, conditions, contraindications, foodNutrients).find((c) => c.severity === 'avoid');
+    if (contra) return { filter: 'contraindication', detail: `${contra.condition}: ${contra.reason}`, contraindication: contra };
+    return null;
+  };
+  const filteredOut = [];
+  const allowedFoods = (foods || []).filter((f) => {
+    let filter = screen(f);
+    // Recipes are screened as dishes and through every ingredient and spice
+    for (const part of filter ? [] : recipeParts(f)) {
+      const hit = screen(part);
+      if (hit) {
+        filter = { ...hit, detail: `${part.name}: ${hit.detail}` };
+        break;
+      }
+    }
+    if (filter) filteredOut.push({ f, ...filter });
+    return !filter;
+  });
+
+  // 2) score using the data-driven Ayurvedic rule matrix
+  const ruleContext = {
+    dosha,
+    season,
+    goals: profile.health_goals || [],
+    conditions
+  };
+  const scoreFood = (f) => {
+    const { byCategory, applied } = scoreAgainstDoshas(rules, f, ruleContext, doshaWeights, seasons);
+    const sDosha = byCategory.dosha || 0;
+    const sSeason = byCategory.season || 0;
+    const sRules = Object.entries(byCategory)
+      .filter(([category]) => category !== 'dosha' && category !== 'season')
+      .reduce((sum, [, value]) => sum + value, 0);
+    const sNut = scoreNutrition(profile, f);
+    const liked = isLiked(f);
+    const disliked = [f, ...recipeParts(f)].some(isDisliked);
+    const boost = liked ? W.likedBoost : 0;
+    const penalty = disliked ? W.prefPenalty : 0;
+    // Foods a condition says to limit stay in the plan, ranked lower and in smaller portions
+    const limits = [f, ...recipeParts(f)]
+      .flatMap((part) => findContraindications(part, conditions, contraindications, foodNutrients))
+      .filter((c, i, all) => c.severity === 'limit' && all.findIndex((o) => o.rule_id === c.rule_id) === i);
+    const limitPenalty = limits.length ? W.limitPenalty : 0;
+    const score = sDosha * W.dosha + sSeason * W.seasonal + sRules * W.rules + sNut * W.nutrition +
+      boost - penalty - limitPenalty;
+    return {
+      f,
+      score,
+      reasons: { sDosha, sSeason, sRules, sNut, boost, penalty, limitPenalty, season },
+      applied,
+      preference: liked ? 'liked' : (disliked ? 'disliked' : null),
+      limits,
+      maxGrams: limits.length ? LIMITED_PORTION_GRAMS : undefined
+    };
+  };
+  const scored = allowedFoods.map(scoreFood).sort((a, b) => b.score - a.score);
 
-function getSeasonFromMonth(month) {
-  // Simple mapping
-  if (month >= 3 && month <= 5) return 'spring';
-  if (month >= 6 && month <= 8) return 'monsoon';
-  if (month >= 9 && month <= 11) return 'autumn';
-  return 'winter';
+  return { prakriti, vikriti, dosha, doshaWeights, season, ritu, prefs, W, allergies, filteredOut, scored, scoreFood };
 }
 
-function scoreDoshaComprehensive(userDosha, food) {
-  let score = 0;
+// Build one day of meals from a ranked food list.
+// Foods eaten the previous day are skipped unless nothing else fits.
+// Meals are selected one at a time, then portions and swaps are optimised for the whole day.
+function assembleDay(ranked, {
+  locks,
+  target,
+  macroTargets,
+  dosha,
+  previousDayFoods,
+  viruddhaRules,
+  rasaTargets,
+  rasaWeight,
+  guaranteeFavourite,
+  foodMeasures
+}) {
+  const mealCalories = distributeMealCalories(target, MEAL_TYPES.length);
+  const meals = [];
 
-  const impact = (food.dosha_impact || food.dosha_tags || '').toString();
-  if (/balancing|tridosha/i.test(impact)) score += 1;
-  if (impact && impact.includes(userDosha)) score -= 0.5; // may aggravate
-
-  // 2. Rasa (taste)
-  const rasas = typeof food.tastes === 'string' ? food.tastes.split(',').map((s) => s.trim().toLowerCase()) : [];
-  rasas.forEach((rasa) => {
-    if (userDosha === 'Pitta') {
-      if (['pungent', 'sour', 'salty'].includes(rasa)) score -= 1;
-      if (['sweet', 'bitter', 'astringent'].includes(rasa)) score += 1;
-    } else if (userDosha === 'Kapha') {
-      if (['sweet', 'sour', 'salty'].includes(rasa)) score -= 1;
-      if (['pungent', 'bitter', 'astringent'].includes(rasa)) score += 1;
-    } else if (userDosha === 'Vata') {
-      if (['sweet', 'sour', 'salty'].includes(rasa)) score += 1;
-      if (['pungent', 'bitter', 'astringent'].includes(rasa)) score -= 1;
-    }
+  // Track used food IDs to ensure variety within the day (and against yesterday);
+  // locked foods are reserved up front so no other meal picks them
+  const usedFoodIds = new Set(previousDayFoods);
+  locks.forEach((lock) => lock.items.forEach(({ entry }) => usedFoodIds.add(foodKey(entry.f))));
+  const foodIds = new Set();
+  const picks = [];
+  const advisories = [];
+
+  const selection = MEAL_TYPES.map((mt, idx) => {
+    const lock = locks.get(mt);
+    const pick = pickFoodForMeal(ranked, mealCalories[idx], mt, dosha, {
+      usedFoodIds,
+      viruddhaRules,
+      rasaTargets,
+      rasaWeight,
+      locked: lock?.items,
+      complete: lock?.complete
+    });
+    pick.items.forEach((item) => usedFoodIds.add(foodKey(item.f)));
+    return {
+      meal_type: mt,
+      target: mealCalories[idx],
+      bounds: portionBounds(mt),
+      // A complete (locked) meal gets no additions
+      maxItems: lock?.complete ? pick.items.length : maxItemsFor(mt),
+      items: pick.items.map(({ entry, grams, pass, locked, fixedGrams }) => ({ entry, grams, pass, locked, fixedGrams }))
+    };
   });
+  if (guaranteeFavourite) ensureFavourite(selection, ranked, { previousDayFoods, viruddhaRules });
+  const optimized = optimizeDay(selection, {
+    targetCalories: target,
+    macroTargets,
+    candidatesFor: (mi, kept, current) => optimizerCandidates(ranked, current[mi], kept, current, { previousDayFoods, viruddhaRules })
+  });
+
+  const mealFoods = [];
+  optimized.meals.forEach((meal) => {
+    const mt = meal.meal_type;
+    const pickItems = meal.items.map(({ entry, grams, pass }) => ({ f: entry.f, grams, entry, pass }));
+    pickItems.forEach((item) => {
+      foodIds.add(foodKey(item.f));
+      picks.push({ mealType: mt, item });
+    });
 
-  // 3. Guna (qualities)
-  const gunas = typeof food.qualities === 'string' ? food.qualities.split(',').map((s) => s.trim().toLowerCase()) : [];
-  gunas.forEach((guna) => {
-    if (userDosha === 'Vata') {
-      if (['dry', 'light'].includes(guna)) score -= 1;
-      if (['heavy', 'unctuous'].includes(guna)) score += 1;
-    } else if (userDosha === 'Kapha') {
-      if (['heavy', 'unctuous'].includes(guna)) score -= 1;
-      if (['light', 'dry'].includes(guna)) score += 1;
+    const foods = pickItems.map(({ f }) => f);
+    const items = pickItems.map(({ entry, grams, pass }) => ({
+      ...toPlanItem(entry, grams, dosha, foodMeasures),
+      ...(pass === 'locked' ? { locked: true } : {})
+    }));
+    const summary = summariseMeal(mt, items, foods, {
+      target: meal.target,
+      macroTargets,
+      rasaTargets,
+      viruddhaRules
+    });
+    if (MAIN_MEALS.includes(mt) && summary.rasa_coverage.missing.length) {
+      advisories.push(missingTastesAdvisory(mt, summary.rasa_coverage.missing, ranked, new Set(foods.map(foodKey))));
     }
+    meals.push(summary);
+    mealFoods.push(foods);
+  });
+
+  return {
+    ...summariseDay(meals, mealFoods, { target, macroTargets, rasaTargets }),
+    advisories,
+    foodIds,
+    picks
+  };
+}
+
+// Plan item for a scored entry at the given portion: raw grams plus the household measure
+export function toPlanItem(entry, grams, dosha, foodMeasures = loadFoodMeasures()) {
+  const f = entry.f;
+  return {
+    food_id: f.food_id || f.id || (f._id ? String(f._id) : undefined),
+    name: f.name,
+    portion: `${grams}g`,
+    grams,
+    measure: householdMeasure(f, grams, foodMeasures),
+    macros: calculateFoodMacros(f, grams),
+    why: explainChoice(f, dosha, entry.score),
+    ...(f.recipe_id ? { recipe_id: f.recipe_id, method: f.method, ...recipeIngredients(f, grams) } : {}),
+    applied_rules: entry.applied.map(({ rule_id, description, score_adjustment, dosha_weight }) => ({ rule_id, description, score_adjustment, dosha_weight })),
+    ...(entry.preference ? { preference: entry.preference } : {}),
+    ...(entry.price != null ? { cost: itemCost(entry.price, grams) } : {}),
+    ...(entry.pantry ? { pantry: entry.pantry.status } : {}),
+    ...(entry.limits.length ? { contraindications: entry.limits } : {})
+  };
+}
+
+// Meal totals, compatibility notes and taste coverage for plan items (foods[] is parallel to items[])
+export function summariseMeal(mealType, items, foods, { target, macroTargets, rasaTargets, viruddhaRules }) {
+  // Incompatible pairs are kept out of meals; milder ones are only flagged
+  const cautions = findIncompatibilities(foods, viruddhaRules).filter((c) => c.severity === 'caution');
+  return {
+    meal_type: mealType,
+    items,
+    total_calories: items.reduce((sum, it) => sum + (it.macros?.calories || 0), 0),
+    explanations: items.map((it) => it.why).filter(Boolean),
+    compatibility_notes: cautions,
+    rasa_coverage: rasaCoverage(foods, rasaTargets),
+    macro_targets: { calories: target, ...getMacroGrams(target, macroTargets) },
+    macros_consumed: toMacroGrams(sumMacros(items))
+  };
+}
+
+// Day totals and deviations from the targets (mealFoods[] holds each meal's foods)
+export function summariseDay(meals, mealFoods, { target, macroTargets, rasaTargets }) {
+  const totalCals = meals.reduce((sum, m) => sum + m.total_calories, 0);
+  const macros = sumMacros(meals.flatMap((m) => m.items));
+  const macroActuals = calculateMacroSplit(macros);
+  const costs = meals.flatMap((m) => m.items.map((it) => it.cost)).filter((c) => c !== undefined);
+  return {
+    meals,
+    total_calories: totalCals,
+    // Estimated cost of the priced items
+    ...(costs.length ? { cost: Math.round(costs.reduce((sum, c) => sum + c, 0) * 100) / 100 } : {}),
+    macros,
+    macros_consumed: toMacroGrams(macros),
+    macro_actuals: macroActuals,
+    macro_deviation: Object.fromEntries(Object.entries(macroTargets)
+      .map(([k, pct]) => [k, Math.round((macroActuals[k] - pct) * 10) / 10])),
+    calorie_deviation: totalCals - target,
+    rasa_coverage: rasaCoverage(mealFoods.flat(), rasaTargets)
+  };
+}
+
+// Locks for one day as Map(meal_type -> { items, complete }). Locked foods are used even
+// when a preference, diet or condition filter removed them (the nutritionist chose them);
+// unknown foods and allergens are an error (code 'INVALID_LOCK': the request, not the engine, is at fault).
+function resolveLocks(dayLocks, ranked, { scoreFood, foods, filteredOut }) {
+  const resolved = new Map();
+  dayLocks.forEach(({ meal_type, items = [], complete = false }) => {
+    const lock = resolved.get(meal_type) || { items: [], complete: false };
+    items.forEach(({ food_id, grams }) => {
+      const food = (foods || []).find((f) => f.food_id === food_id);
+      if (!food) throw lockError(`Locked food ${food_id} not found`);
+      const allergy = filteredOut.find((r) => r.f === food && r.filter === 'allergy');
+      if (allergy) throw lockError(`Locked food ${food.name}: ${allergy.detail}`);
+      const entry = ranked.find((s) => s.f.food_id === food_id) || { ...scoreFood(food), rotationPenalty: 0 };
+      lock.items.push({ entry, grams });
+    });
+    lock.complete = lock.complete || complete;
+    resolved.set(meal_type, lock);
   });
+  return resolved;
+}
+
+function lockError(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_LOCK' });
+}
 
-  // 4. Virya (energy)
-  const virya = (food.energy || food.virya || '').toLowerCase();
-  if (virya) {
-    if (userDosha === 'Pitta' && virya === 'heating') score -= 1;
-    if (userDosha === 'Pitta' && virya === 'cooling') score += 1;
-    if (userDosha === 'Vata' && virya === 'cooling') score -= 0.5;
-    if (userDosha === 'Kapha' && virya === 'cooling') score -= 0.5;
+// Favourite guarantee: keep a liked food in the day, adding the best dosha-compatible one
+// (not eaten yesterday, if possible) when the selection has none. The item is locked so
+// the optimizer cannot swap it out; it goes into a meal that takes its food type if any.
+function ensureFavourite(selection, ranked, { previousDayFoods, viruddhaRules }) {
+  const dayItems = selection.flatMap((meal) => meal.items);
+  const existing = dayItems.find((item) => item.entry.preference === 'liked');
+  if (existing) {
+    existing.locked = true;
+    return;
   }
 
-  return score;
+  const used = new Set(dayItems.map((item) => foodKey(item.entry.f)));
+  const compatible = ranked.filter((s) => s.preference === 'liked' && s.reasons.sDosha >= 0 && !used.has(foodKey(s.f)));
+  const fresh = compatible.filter((s) => !previousDayFoods.has(foodKey(s.f)));
+
+  for (const s of fresh.length ? fresh : compatible) {
+    const type = inferFoodType(s.f);
+    const meals = [...selection].sort((a, b) =>
+      Number((MEAL_PREFS[b.meal_type] || []).includes(type)) - Number((MEAL_PREFS[a.meal_type] || []).includes(type)));
+    for (const meal of meals.filter((m) => fitsMeal(s.f, m.meal_type))) {
+      const favourite = { entry: s, pass: 'favourite', locked: true };
+      if (meal.items.length < meal.maxItems) {
+        const mealFoods = meal.items.map((item) => item.entry.f);
+        if (sharesBaseName(s.f, mealFoods) || conflictsWith(s.f, mealFoods, viruddhaRules)) continue;
+        meal.items.push(favourite);
+        return;
+      }
+      // Replace the weakest unlocked item of a full meal
+      const weakest = meal.items.reduce((lo, item, i) =>
+        (!item.locked && (lo < 0 || item.entry.score < meal.items[lo].entry.score) ? i : lo), -1);
+      if (weakest < 0) continue;
+      const kept = meal.items.filter((_, i) => i !== weakest).map((item) => item.entry.f);
+      if (sharesBaseName(s.f, kept) || conflictsWith(s.f, kept, viruddhaRules)) continue;
+      meal.items.splice(weakest, 1, favourite);
+      return;
+    }
+  }
+}
+
+// Foods the optimizer may swap into a meal: not eaten elsewhere today or yesterday,
+// of a type the meal prefers, compatible with (and not another variety of) the items kept,
+// and not costing the meal a taste
+function optimizerCandidates(ranked, meal, kept, meals, { previousDayFoods, viruddhaRules }) {
+  const used = new Set(previousDayFoods);
+  meals.forEach((m) => m.items.forEach((item) => used.add(foodKey(item.entry.f))));
+  const keptFoods = kept.map((item) => item.entry.f);
+  const tastes = new Set(meal.items.flatMap((item) => foodRasas(item.entry.f))).size;
+  const preferred = MEAL_PREFS[meal.meal_type] || [];
+
+  // Best few of every type, so a meal short on fat or protein can reach nuts or legumes
+  const perType = new Map(preferred.map((type) => [type, []]));
+  for (const s of ranked) {
+    const bucket = perType.get(inferFoodType(s.f));
+    if (!bucket || bucket.length >= OPTIMIZER_CANDIDATES_PER_TYPE) continue;
+    if (used.has(foodKey(s.f)) || sharesBaseName(s.f, keptFoods) || !fitsMeal(s.f, meal.meal_type)) continue;
+    if (new Set([...keptFoods, s.f].flatMap(foodRasas)).size < tastes) continue;
+    if (conflictsWith(s.f, keptFoods, viruddhaRules)) continue;
+    bucket.push(s);
+  }
+  return [...perType.values()].flat();
+}
+
+// Suggest condiments or spices from the food list for tastes a main meal lacks
+export function missingTastesAdvisory(mealType, missing, ranked, mealFoodIds) {
+  const suggestions = suggestTasteFillers(missing, ranked, mealFoodIds);
+  const names = [...new Set(Object.values(suggestions).flat().map((s) => s.name))];
+  const tastes = missing.length > 1
+    ? `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]} tastes`
+    : `${missing[0]} taste`;
+  return {
+    type: 'missing_tastes',
+    meal_type: mealType,
+    missing,
+    message: names.length
+      ? `${mealType.charAt(0).toUpperCase() + mealType.slice(1)} is missing the ${tastes}. Try adding a little: ${names.join('; ')}.`
+      : `${mealType.charAt(0).toUpperCase() + mealType.slice(1)} is missing the ${tastes}, and no allowed condiment or spice in the database supplies them.`,
+    suggestions
+  };
+}
+
+// Group days into 7-day weeks and total their calories and macros
+export function summariseWeeks(days) {
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    const week = days.slice(i, i + 7);
+    const totalCalories = week.reduce((sum, d) => sum + d.total_calories, 0);
+    const foods = new Set(week.flatMap((d) => d.meals.flatMap((m) => m.items.map((it) => it.food_id || it.name))));
+    weeks.push({
+      week: weeks.length + 1,
+      days: week.map((d) => d.day),
+      total_calories: totalCalories,
+      average_daily_calories: Math.round(totalCalories / week.length),
+      macros: sumMacros(week.flatMap((d) => d.meals.flatMap((m) => m.items))),
+      unique_foods: foods.size
+    });
+  }
+  return weeks;
+}
+
+// Contraindication rules that fired, with how many foods each removed (avoid) or limited
+function summariseContraindications(filteredOut, scored) {
+  const byRule = new Map();
+  const count = (c) => {
+    const summary = byRule.get(c.rule_id) || { ...c, food_count: 0 };
+    summary.food_count += 1;
+    byRule.set(c.rule_id, summary);
+  };
+  filteredOut.forEach(({ contraindication }) => contraindication && count(contraindication));
+  scored.forEach(({ limits }) => limits.forEach(count));
+  return [...byRule.values()].sort((a, b) => a.rule_id - b.rule_id);
+}
+
+// How many filtered-out and outranked foods to include in explanation_logs
+const TRACE_LIMITS = { filtered: 10, notSelected: 5 };
+
+// Break a scored entry into weighted sub-scores for explanation_logs
+function traceScores(entry, W) {
+  const { sDosha, sSeason, sRules, sNut, penalty } = entry.reasons;
+  const part = (raw, weight) => ({ raw, weight, weighted: Math.round(raw * weight * 100) / 100 });
+  return {
+    dosha: part(sDosha, W.dosha),
+    season: part(sSeason, W.seasonal),
+    rules: part(sRules, W.rules),
+    nutrition: part(sNut, W.nutrition),
+    preference_boost: entry.reasons.boost || 0,
+    preference_penalty: penalty,
+    limit_penalty: entry.reasons.limitPenalty || 0,
+    rotation_penalty: entry.rotationPenalty || 0,
+    pantry_bonus: entry.pantry?.bonus || 0,
+    budget_penalty: entry.reasons.budgetPenalty || 0,
+    total: Math.round(entry.score * 100) / 100
+  };
+}
+
+function traceSelection(item, W) {
+  return {
+    status: 'selected',
+    food_id: item.f.food_id,
+    name: item.f.name,
+    pass: item.pass,
+    grams: item.grams,
+    season: item.entry.reasons.season,
+    scores: traceScores(item.entry, W),
+    applied_rules: item.entry.applied
+  };
+}
+
+// Top foods removed by a filter (scored as if they had been allowed) and
+// the best-scoring allowed foods that never made it into the plan
+function traceRejections(filteredOut, scored, selectedIds, scoreFood, W) {
+  const filtered = filteredOut
+    .map(({ f, filter, detail }) => ({ entry: scoreFood(f), filter, detail }))
+    .sort((a, b) => b.entry.score - a.entry.score)
+    .slice(0, TRACE_LIMITS.filtered)
+    .map(({ entry, filter, detail }) => ({
+      status: 'rejected',
+      food_id: entry.f.food_id,
+      name: entry.f.name,
+      filter,
+      detail,
+      scores: traceScores(entry, W)
+    }));
+
+  const outranked = scored
+    .filter((entry) => !selectedIds.has(foodKey(entry.f)))
+    .slice(0, TRACE_LIMITS.notSelected)
+    .map((entry) => ({
+      status: 'not_selected',
+      food_id: entry.f.food_id,
+      name: entry.f.name,
+      detail: 'Outranked or did not fit the meal calorie budgets',
+      scores: traceScores(entry, W)
+    }));
+
+  return [...filtered, ...outranked];
+}
+
+function sumMacros(items) {
+  const total = items.reduce((acc, it) => ({
+    protein: acc.protein + (it.macros?.protein || 0),
+    carbs: acc.carbs + (it.macros?.carbs || 0),
+    fats: acc.fats + (it.macros?.fats || 0)
+  }), { protein: 0, carbs: 0, fats: 0 });
+  return {
+    protein: Math.round(total.protein * 10) / 10,
+    carbs: Math.round(total.carbs * 10) / 10,
+    fats: Math.round(total.fats * 10) / 10
+  };
 }
 
-function scoreSeasonMatch(season, food) {
-  const s = (food.season || '').toString().toLowerCase();
-  if (!s) return 0;
-  if (s.includes('all')) return 0.5;
-  return s.includes(season) ? 0.5 : 0;
+// ---------------------- Helper Functions ----------------------
+
+function foodKey(food) {
+  return food.food_id || food.name;
+}
+
+// The food before its variety: "Apple, small, Kashmir" -> "apple"
+function baseName(food) {
+  return String(food.name || '').split(',')[0].trim().toLowerCase();
+}
+
+// A meal holds one variety of a food, not "Apple, small" and "Apple, small, Kashmir"
+function sharesBaseName(food, foods) {
+  const base = baseName(food);
+  return Boolean(base) && foods.some((f) => baseName(f) === base);
+}
+
+function inferDosha(profile) {
+  // Simple fallback inference; production should use quiz
+  return profile?.dosha_result || 'Vata';
+}
+
+/**
+ * Share of scoring each dosha gets. Dual constitutions ("Vata-Pitta") are split
+ * by the quiz percentages (55% Vata / 35% Pitta -> 0.61 / 0.39), or evenly when
+ * percentages are missing. Single doshas get the full weight.
+ */
+export function resolveDoshaWeights(dosha, percentages) {
+  const doshas = String(dosha || 'Vata').split('-').map((d) => d.trim()).filter(Boolean);
+  const raw = doshas.map((d) => Number(percentages?.[d.toLowerCase()]) || 0);
+  const total = raw.reduce((sum, v) => sum + v, 0);
+  return Object.fromEntries(doshas.map((d, i) => [
+    d,
+    Math.round((total > 0 ? raw[i] / total : 1 / doshas.length) * 100) / 100
+  ]));
+}
+
+// Weighted mix of two dosha weight maps, e.g. 70% vikriti + 30% prakriti
+function blendDoshaWeights(primary, secondary, share) {
+  const blended = {};
+  Object.entries(primary).forEach(([d, w]) => { blended[d] = (blended[d] || 0) + w * share; });
+  Object.entries(secondary).forEach(([d, w]) => { blended[d] = (blended[d] || 0) + w * (1 - share); });
+  return Object.fromEntries(Object.entries(blended).map(([d, w]) => [d, Math.round(w * 100) / 100]));
+}
+
+// Run the rule matrix once per dosha (and per season during a ritu-sandhi) and blend
+// the results by weight. Rules that depend on neither fire every time and keep their
+// full value; dosha_weight is the share a rule was counted with.
+function scoreAgainstDoshas(rules, food, context, doshaWeights, seasons = { [context.season]: 1 }) {
+  const byCategory = {};
+  const applied = new Map();
+
+  Object.entries(doshaWeights).forEach(([d, doshaWeight]) => Object.entries(seasons).forEach(([season, seasonWeight]) => {
+    const weight = doshaWeight * seasonWeight;
+    const result = evaluateRules(rules, food, { ...context, dosha: d, season });
+    Object.entries(result.byCategory).forEach(([category, value]) => {
+      byCategory[category] = (byCategory[category] || 0) + value * weight;
+    });
+    result.applied.forEach((rule) => {
+      const prev = applied.get(rule.rule_id);
+      const dosha_weight = Math.round(((prev?.dosha_weight || 0) + weight) * 100) / 100;
+      applied.set(rule.rule_id, { ...rule, dosha_weight });
+    });
+  }));
+
+  return { byCategory, applied: [...applied.values()] };
 }
 
 function scoreNutrition(profile, food) {
@@ -188,32 +803,52 @@ function scoreNutrition(profile, food) {
   return score;
 }
 
-function pickFoodForMeal(scored, targetCal, mealType, dosha, usedFoodIds = new Set()) {
-  const maxItems = mealType === 'snack' ? 2 : 3;
+// Initial meal selection, refined by optimizeDay. Each item records which pass chose it:
+// preferred_type (meal-type foods), calorie_fill (any unused food), reuse_fallback (foods from earlier meals);
+// ensureFavourite and optimizeDay later mark their items 'favourite' and 'optimizer'
+// Recipes only go into the meals they list (fitsMeal).
+// No pass adds a food that forms a viruddha (incompatible) pair with the meal so far
+// or is another variety of a food already in it (sharesBaseName),
+// and candidates that bring a missing taste (rasa) are ranked up by rasaWeight.
+function pickFoodForMeal(scored, targetCal, mealType, dosha, {
+  usedFoodIds = new Set(),
+  viruddhaRules = [],
+  rasaTargets = null,
+  rasaWeight = 0,
+  locked = [],
+  complete = false
+} = {}) {
+  const maxItems = maxItemsFor(mealType);
   const items = [];
   let kcal = 0;
   const used = new Set();
 
-  // Meal type preferences
-  const mealPrefs = {
-    breakfast: ['grain', 'fruit', 'dairy', 'nut'],
-    lunch: ['grain', 'legume', 'vegetable', 'protein'],
-    snack: ['fruit', 'nut', 'dairy'],
-    dinner: ['grain', 'legume', 'vegetable', 'protein']
-  };
+  // Locked items come first and use up part of the meal's calories; a complete meal stops here
+  locked.forEach(({ entry, grams: fixedGrams }) => {
+    const f = entry.f;
+    const grams = fixedGrams ?? calculatePortionSize(f, targetCal - kcal, mealType);
+    const macros = calculateFoodMacros(f, grams);
+    items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, entry.score), entry, pass: 'locked', locked: true, fixedGrams });
+    kcal += macros.calories;
+    used.add(foodKey(f));
+  });
+  if (complete) return { items, kcal };
 
-  const preferred = mealPrefs[mealType] || [];
+  const preferred = MEAL_PREFS[mealType] || [];
 
   // First pass: pick preferred types
-  for (const s of scored) {
+  for (const s of rankedByTaste(scored, items, rasaTargets, rasaWeight)) {
     if (items.length >= maxItems || kcal >= targetCal * 1.1) break;
 
     const f = s.f;
-    const foodId = f.food_id || f.name;
+    const foodId = foodKey(f);
     
     // Skip if already used in this day
     if (usedFoodIds.has(foodId)) continue;
     if (used.has(foodId)) continue;
+    if (sharesBaseName(f, items.map((it) => it.f))) continue;
+    if (!fitsMeal(f, mealType)) continue;
+    if (conflictsWith(f, items.map((it) => it.f), viruddhaRules)) continue;
     if (preferred.length && !preferred.includes(inferFoodType(f))) continue;
 
     const kPer100 = Number(f.calories_100g || f.calories_per_100g || 100);
@@ -222,7 +857,7 @@ function pickFoodForMeal(scored, targetCal, mealType, dosha, usedFoodIds = new S
 
     if (kcal + k <= targetCal * 1.15) {
       const macros = calculateFoodMacros(f, grams);
-      items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, s.score) });
+      items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, s.score), entry: s, pass: 'preferred_type' });
       kcal += k;
       used.add(foodId);
     }
@@ -230,20 +865,23 @@ function pickFoodForMeal(scored, targetCal, mealType, dosha, usedFoodIds = new S
 
 // Second pass: fill remaining calories (ignore meal type preferences but respect variety)
   if (items.length === 0 || kcal < targetCal * 0.7) {
-    for (const s of scored) {
+    for (const s of rankedByTaste(scored, items, rasaTargets, rasaWeight)) {
       if (items.length >= maxItems || kcal >= targetCal * 1.1) break;
 
       const f = s.f;
-      const foodId = f.food_id || f.name;
+      const foodId = foodKey(f);
       if (usedFoodIds.has(foodId)) continue;
       if (used.has(foodId)) continue;
+      if (sharesBaseName(f, items.map((it) => it.f))) continue;
+      if (!fitsMeal(f, mealType)) continue;
+      if (conflictsWith(f, items.map((it) => it.f), viruddhaRules)) continue;
 
       const kPer100 = Number(f.calories_100g || f.calories_per_100g || 100);
       const grams = calculatePortionSize(f, targetCal - kcal, mealType);
       const k = Math.round((kPer100 * grams) / 100);
 
       const macros = calculateFoodMacros(f, grams);
-      items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, s.score) });
+      items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, s.score), entry: s, pass: 'calorie_fill' });
       kcal += k;
       used.add(foodId);
 
@@ -253,19 +891,22 @@ function pickFoodForMeal(scored, targetCal, mealType, dosha, usedFoodIds = new S
 
   // Third pass (fallback): if still no items, allow reuse of foods from earlier meals
   if (items.length === 0 || kcal < targetCal * 0.5) {
-    for (const s of scored) {
+    for (const s of rankedByTaste(scored, items, rasaTargets, rasaWeight)) {
       if (items.length >= maxItems || kcal >= targetCal * 1.1) break;
 
       const f = s.f;
-      const foodId = f.food_id || f.name;
+      const foodId = foodKey(f);
       if (used.has(foodId)) continue; // still avoid duplicates within same meal
+      if (sharesBaseName(f, items.map((it) => it.f))) continue;
+      if (!fitsMeal(f, mealType)) continue;
+      if (conflictsWith(f, items.map((it) => it.f), viruddhaRules)) continue;
 
       const kPer100 = Number(f.calories_100g || f.calories_per_100g || 100);
       const grams = calculatePortionSize(f, targetCal - kcal, mealType);
       const k = Math.round((kPer100 * grams) / 100);
 
       const macros = calculateFoodMacros(f, grams);
-      items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, s.score) });
+      items.push({ f, grams, portion: `${grams}g`, macros, why: explainChoice(f, dosha, s.score), entry: s, pass: 'reuse_fallback' });
       kcal += k;
       used.add(foodId);
 
@@ -276,30 +917,57 @@ function pickFoodForMeal(scored, targetCal, mealType, dosha, usedFoodIds = new S
   return { items, kcal };
 }
 
+// Yield candidates best-first, re-ranking whenever the meal gains an item so
+// foods adding a taste the meal still lacks move up the list
+function* rankedByTaste(scored, items, rasaTargets, rasaWeight) {
+  if (!rasaTargets || !rasaWeight) {
+    yield* scored;
+    return;
+  }
+  let remaining = [...scored];
+  let rankedFor = -1;
+  while (remaining.length) {
+    if (rankedFor !== items.length) {
+      const mealFoods = items.map((it) => it.f);
+      remaining = remaining
+        .map((s) => ({ s, v: s.score + rasaWeight * rasaGapBonus(s.f, mealFoods, rasaTargets) }))
+        .sort((a, b) => b.v - a.v)
+        .map(({ s }) => s);
+      rankedFor = items.length;
+    }
+    yield remaining.shift();
+  }
+}
+
 function calculatePortionSize(food, remainingCal, mealType) {
   const kPer100 = Number(food.calories_100g || food.calories_per_100g || 100);
-
-  // Base portions by meal type
-  const baseSizes = { breakfast: 120, lunch: 150, snack: 80, dinner: 130 };
-  const base = baseSizes[mealType] || 120;
+  const [min, max] = portionBounds(mealType);
 
   // Adjust based on remaining calories
   const calculated = Math.round((remainingCal / Math.max(kPer100, 1)) * 100);
-  return Math.max(50, Math.min(calculated, Math.round(base * 1.5)));
+  return Math.max(min, Math.min(calculated, max));
+}
+
+export function portionBounds(mealType) {
+  const base = MEAL_BASE_GRAMS[mealType] || 120;
+  return [MIN_PORTION_GRAMS, Math.round(base * 1.5)];
 }
 
-function inferFoodType(food) {
-  const name = (food.name || '').toLowerCase();
-  const notes = (food.notes || '').toLowerCase();
+function maxItemsFor(mealType) {
+  return mealType === 'snack' ? 2 : 3;
+}
+
+// Meal preferences use broad types: leafy and root vegetables count as vegetables
+const MEAL_TYPE_OF_GROUP = { leafy_vegetable: 'vegetable', root_vegetable: 'vegetable', nut_seed: 'nut' };
+
+export function inferFoodType(food) {
+  const group = foodGroup(food);
+  return MEAL_TYPE_OF_GROUP[group] || group;
+}
 
-  if (name.includes('rice') || name.includes('wheat') || name.includes('millet')) return 'grain';
-  if (name.includes('dal') || name.includes('bean') || name.includes('lentil')) return 'legume';
-  if (notes.includes('vegetable') || (food.food_id || '').toUpperCase().startsWith('D')) return 'vegetable';
-  if (notes.includes('fruit') || (food.food_id || '').toUpperCase().startsWith('E')) return 'fruit';
-  if (name.includes('nut') || name.includes('seed')) return 'nut';
-  if ((food.food_id || '').toUpperCase().startsWith('K')) return 'dairy';
-  if ((food.food_id || '').toUpperCase().startsWith('L')) return 'protein';
-  return 'other';
+// Recipes list the meals they are served at; plain foods fit any meal
+export function fitsMeal(food, mealType) {
+  return !food.meal_types?.length || food.meal_types.includes(mealType);
 }
 
 function explainChoice(food, dosha, score) {
@@ -307,8 +975,9 @@ function explainChoice(food, dosha, score) {
 
   // Dosha alignment
   const doshaTags = (food.dosha_impact || food.dosha_tags || '').toString();
+  const aggravated = dosha.split('-').filter((d) => doshaTags.includes(d));
   if (/balancing/i.test(doshaTags)) parts.push('Tridoshic');
-  else if (doshaTags.includes(dosha)) parts.push(`May aggravate ${dosha}`);
+  else if (aggravated.length) parts.push(`May aggravate ${aggravated.join('-')}`);
   else parts.push(`Balances ${dosha}`);
 
   // Tastes
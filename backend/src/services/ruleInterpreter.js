@@ -0,0 +1,104 @@
+/**
+ * Rule Interpreter
+ * Executes rule_matrix.csv style rules against a food so that Ayurvedic
+ * scoring can be changed by editing data rather than code.
+ */
+
+import { FOOD_SEASONS } from './seasons.js';
+
+// applies_when keys and the context field each one reads
+const CONTEXT_KEYS = { dosha: 'dosha', season: 'season', goal: 'goals', condition: 'conditions' };
+
+// Rule attributes use Ayurvedic names; foods store them under these fields
+const ATTRIBUTE_READERS = {
+  dosha_tags: (f) => toList(f.dosha_impact ?? f.dosha_tags),
+  rasa: (f) => toList(f.tastes ?? f.rasa),
+  guna: (f) => toList(f.qualities ?? f.guna),
+  virya: (f) => f.energy ?? f.virya ?? '',
+  season: (f) => {
+    const seasons = toList(f.season);
+    // 'all' means in season year round
+    return seasons.includes('all') ? [...seasons, ...FOOD_SEASONS] : seasons;
+  }
+};
+
+const OPERATORS = {
+  contains: (actual, value) => Array.isArray(actual)
+    ? actual.includes(value.toLowerCase())
+    : String(actual).toLowerCase().includes(value.toLowerCase()),
+  not_contains: (actual, value) => !OPERATORS.contains(actual, value),
+  equals: (actual, value) => Array.isArray(actual)
+    ? actual.length === 1 && actual[0] === value.toLowerCase()
+    : String(actual).trim().toLowerCase() === value.toLowerCase(),
+  gte: (actual, value) => Number(actual) >= Number(value),
+  lte: (actual, value) => Number(actual) <= Number(value)
+};
+
+/**
+ * Evaluate rules against a food in priority order (1 first). Once rules of one priority
+ * have fired on an attribute, rules of a later priority on that attribute are overridden:
+ * they add nothing and are listed with the rule that overrode them. Rules of the same
+ * priority all count.
+ * context: { dosha, season, goals[], conditions[] } - used by each rule's applies_when
+ * Returns the total score, per-category subtotals, every rule that fired and every rule
+ * overridden ({ rule_id, description, overridden_by }).
+ */
+export function evaluateRules(rules, food, context = {}) {
+  const byCategory = {};
+  const applied = [];
+  const overridden = [];
+  // attribute -> the first rule that fired on it
+  const decided = new Map();
+  let score = 0;
+
+  const ordered = [...(rules || [])].sort((a, b) => (a.priority - b.priority) || (a.rule_id - b.rule_id));
+
+  for (const rule of ordered) {
+    if (!appliesTo(rule.applies_when, context)) continue;
+    const op = OPERATORS[rule.operator];
+    if (!op) continue;
+
+    const read = ATTRIBUTE_READERS[rule.attribute] || ((f) => f[rule.attribute] ?? '');
+    if (!op(read(food), String(rule.value))) continue;
+
+    const first = decided.get(rule.attribute);
+    if (first && first.priority < rule.priority) {
+      overridden.push({ rule_id: rule.rule_id, description: rule.description, overridden_by: first.rule_id });
+      continue;
+    }
+    if (!first) decided.set(rule.attribute, rule);
+
+    const adjustment = Number(rule.score_adjustment) || 0;
+    score += adjustment;
+    byCategory[rule.category] = (byCategory[rule.category] || 0) + adjustment;
+    applied.push({
+      rule_id: rule.rule_id,
+      priority: rule.priority,
+      category: rule.category,
+      description: rule.description,
+      score_adjustment: adjustment
+    });
+  }
+
+  return { score, byCategory, applied, overridden };
+}
+
+// applies_when: "dosha=Vata|Kapha;goal=weight_loss" - every clause must match, any value per clause
+function appliesTo(appliesWhen, context) {
+  if (!appliesWhen) return true;
+  return appliesWhen.split(';').filter(Boolean).every((clause) => {
+    const [key, values] = clause.split('=').map((s) => s.trim());
+    const wanted = (values || '').split('|').map(normalise);
+    const actual = [].concat(CONTEXT_KEYS[key] ? context[CONTEXT_KEYS[key]] ?? [] : []).map(normalise);
+    return actual.some((v) => wanted.includes(v));
+  });
+}
+
+function normalise(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim().toLowerCase());
+  return String(value || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
@@ -0,0 +1,107 @@
+/**
+ * Seasons (ritucharya)
+ * The year follows the six classical ritus of about two months each: Shishira (late
+ * winter) from 15 January, Vasanta (spring) from 15 March, Grishma (summer) from
+ * 15 May, Varsha (monsoon) from 15 July, Sharad (autumn) from 15 September and
+ * Hemanta (early winter) from 15 November. South of the equator the calendar runs six
+ * months later. The last week of a ritu and the first week of the next are its
+ * ritu-sandhi, when one season's regimen is eased into the next.
+ *
+ * Foods, recipes and the rule matrix are tagged with five seasons (FOOD_SEASONS);
+ * each ritu maps onto one of them, with Hemanta and Shishira both 'winter'.
+ */
+
+import { FOOD_SEASONS, RITUS } from '../lib/constants.js';
+
+export { FOOD_SEASONS, RITUS };
+
+// Days on each side of a ritu boundary that make up its sandhi
+export const SANDHI_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'north' or 'south': an explicit hemisphere wins, otherwise the sign of the latitude
+export function resolveHemisphere({ hemisphere, latitude } = {}) {
+  if (hemisphere === 'north' || hemisphere === 'south') return hemisphere;
+  return Number(latitude) < 0 ? 'south' : 'north';
+}
+
+/**
+ * Ritu on a date.
+ * options: { date (Date or YYYY-MM-DD, default today), hemisphere ('north' | 'south') or latitude }
+ * Returns { id, name, english, season, hemisphere, starts, ends, sandhi }; starts and
+ * ends are YYYY-MM-DD and sandhi is null, or { from, to, day } with day 1-14 of the
+ * transition from one ritu id to the next.
+ */
+export function getRitu({ date = new Date(), hemisphere, latitude } = {}) {
+  const day = startOfDay(date);
+  const hemi = resolveHemisphere({ hemisphere, latitude });
+  const year = new Date(day).getUTCFullYear();
+
+  // Ritu boundaries from the year before to the year after, so every date has a previous and next one
+  const boundaries = [year - 1, year, year + 1].flatMap((y) => RITUS.map((ritu) => ({
+    ritu,
+    start: Date.UTC(y, ritu.start[0] - 1 + (hemi === 'south' ? 6 : 0), ritu.start[1])
+  }))).sort((a, b) => a.start - b.start);
+  const index = boundaries.findLastIndex((b) => b.start <= day);
+  const previous = boundaries[index - 1];
+  const current = boundaries[index];
+  const next = boundaries[index + 1];
+
+  const daysIn = Math.round((day - current.start) / DAY_MS);
+  const daysLeft = Math.round((next.start - day) / DAY_MS);
+  let sandhi = null;
+  if (daysIn < SANDHI_DAYS) sandhi = { from: previous.ritu.id, to: current.ritu.id, day: SANDHI_DAYS + daysIn + 1 };
+  else if (daysLeft <= SANDHI_DAYS) sandhi = { from: current.ritu.id, to: next.ritu.id, day: SANDHI_DAYS - daysLeft + 1 };
+
+  const { start, ...ritu } = current.ritu;
+  return {
+    ...ritu,
+    hemisphere: hemi,
+    starts: isoDate(current.start),
+    ends: isoDate(next.start - DAY_MS),
+    sandhi
+  };
+}
+
+// Food season on a date (options as for getRitu)
+export function seasonOf(options) {
+  return getRitu(options).season;
+}
+
+/**
+ * Food seasons to score against, as weights summing to 1. Outside a sandhi the
+ * ritu's season has it all; during one the weight moves day by day from the
+ * outgoing ritu's season to the incoming one (e.g. { winter: 0.8, spring: 0.2 }).
+ */
+export function seasonWeights(ritu) {
+  if (!ritu.sandhi) return { [ritu.season]: 1 };
+  const from = rituById(ritu.sandhi.from).season;
+  const to = rituById(ritu.sandhi.to).season;
+  const share = Math.round((ritu.sandhi.day / (2 * SANDHI_DAYS + 1)) * 100) / 100;
+  if (from === to) return { [to]: 1 };
+  return { [from]: Math.round((1 - share) * 100) / 100, [to]: share };
+}
+
+// Food season for a season name or ritu ('Vasanta', 'hemanta', 'Summer'), or 'current'
+// for today's (options as for getRitu); null for anything else
+export function normaliseSeason(value, options = {}) {
+  const name = String(value || '').trim().toLowerCase();
+  if (name === 'current') return seasonOf(options);
+  if (FOOD_SEASONS.includes(name)) return name;
+  return RITUS.find((r) => r.id === name)?.season || null;
+}
+
+export function rituById(id) {
+  return RITUS.find((r) => r.id === id);
+}
+
+function startOfDay(date) {
+  if (typeof date === 'string') return Date.parse(date.slice(0, 10));
+  const d = date instanceof Date ? date : new Date(date);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
@@ -3,6 +3,9 @@
  */
 
 import { generateAdvisory, generateQuickTip } from '../services/advisoryEngine.js';
+import { loadAdvisoryRulesFromCSV } from '../models/advisoryRules.js';
+import { resolveLocale } from '../lib/locale.js';
+import { addDays } from '../lib/dates.js';
 
 const sampleProfile = {
   dosha_result: 'Pitta',
@@ -61,4 +64,198 @@ try {
   process.exit(1);
 }
 
+console.log('Test 3: Seeded Tip Rotation');
+console.log('================================\n');
+
+try {
+  const context = { hour: 8, date: '2026-04-10', seed: 'user-42' };
+  const ids = (advisory) => advisory.recommendations.map((rec) => rec.id);
+  const first = await generateAdvisory({ profile: sampleProfile, context });
+  const again = await generateAdvisory({ profile: sampleProfile, context });
+  console.log(`  - ${context.date}: ${ids(first).join(', ')}`);
+  if (ids(first).join() !== ids(again).join() || ids(first).some((id) => !id)) {
+    throw new Error('The same seed and date should give the same tips, each with an id');
+  }
+
+  // No tip comes back on the next of a run of days, through a ritu-sandhi and with conditions and a feeling
+  const profile = { ...sampleProfile, medical_conditions: ['Type 2 Diabetes', 'High Blood Pressure'] };
+  const run = [];
+  for (let i = 0; i < 21; i++) {
+    const date = addDays('2026-03-01', i);
+    run.push(ids(await generateAdvisory({ profile, context: { ...context, date, feeling: 'stressed' } })));
+  }
+  const repeats = run.flatMap((day, i) => (i ? day.filter((id) => run[i - 1].includes(id)) : []));
+  console.log(`  - ${run.length} days, ${new Set(run.flat()).size} different tips, ${repeats.length} repeated the next day`);
+  if (repeats.length) throw new Error(`Tips repeated on consecutive days: ${repeats.join(', ')}`);
+
+  // `step` gives other tips than today's, and not simply tomorrow's
+  const nextDay = await generateAdvisory({ profile: sampleProfile, context: { ...context, date: '2026-04-11' } });
+  const nextStep = await generateAdvisory({ profile: sampleProfile, context: { ...context, step: 1 } });
+  console.log(`  - next day: ${ids(nextDay).join(', ')}`);
+  console.log(`  - next step: ${ids(nextStep).join(', ')}`);
+  if (ids(nextStep).some((id) => ids(first).includes(id))) throw new Error('The next step should move every section on');
+  if (ids(nextStep).join() === ids(nextDay).join()) throw new Error('The next step should not be tomorrow\'s advice');
+
+  const quick = generateQuickTip('Kapha', { seed: 'user-42', date: '2026-04-10' });
+  const quickNext = generateQuickTip('Kapha', { seed: 'user-42', date: '2026-04-11' });
+  console.log(`  - quick tips: ${quick.tip_id} then ${quickNext.tip_id}`);
+  if (quick.tip_id === quickNext.tip_id || generateQuickTip('Kapha', { seed: 'user-42', date: '2026-04-10' }).tip !== quick.tip) {
+    throw new Error('Quick tips should be seeded and rotate daily');
+  }
+
+  console.log('\n✓ Test 3 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 3 FAILED:', error.message);
+  process.exit(1);
+}
+
+console.log('Test 4: Advisory Rules Knowledge Base');
+console.log('================================\n');
+
+try {
+  const rules = loadAdvisoryRulesFromCSV();
+  const untranslated = rules.filter((rule) => ['en', 'hi', 'mr', 'gu', 'bn', 'ta'].some((locale) => !rule.text[locale]));
+  console.log(`  - ${rules.length} tips, ${untranslated.length} missing a language`);
+  if (new Set(rules.map((rule) => rule.rule_id)).size !== rules.length || untranslated.length) {
+    throw new Error('Tips need unique ids and text in every language');
+  }
+
+  const header = 'ta-IN,ta;q=0.9,en;q=0.8';
+  if (resolveLocale(header) !== 'ta' || resolveLocale('fr-FR,hi;q=0.5') !== 'hi' || resolveLocale('fr') !== 'en') {
+    throw new Error('Accept-Language should pick the best supported language');
+  }
+  const context = { hour: 8, date: '2026-04-10', seed: 'user-42' };
+  const english = await generateAdvisory({ profile: sampleProfile, context, rules });
+  const hindi = await generateAdvisory({ profile: sampleProfile, context, rules, locale: 'hi' });
+  console.log(`  - ${hindi.recommendations[0].id} (hi): ${hindi.recommendations[0].message}`);
+  if (hindi.locale !== 'hi' || hindi.recommendations.some((rec, i) => rec.id !== english.recommendations[i].id || rec.message === english.recommendations[i].message)) {
+    throw new Error('Localised advice should give the same tips in Hindi');
+  }
+
+  // Ritu-sandhi text is filled in; a condition limits a tip to the users it matches
+  const sandhi = await generateAdvisory({ profile: sampleProfile, context: { ...context, date: '2026-03-10' }, rules, locale: 'bn' });
+  const sandhiTip = sandhi.recommendations.find((rec) => rec.category === 'Ritu Sandhi');
+  console.log(`  - sandhi (bn): ${sandhiTip.message}`);
+  if (!sandhiTip.message.startsWith('Shishira') || sandhiTip.message.includes('{')) throw new Error('Sandhi text should name the ritus');
+  const conditionTip = {
+    rule_id: 'weight_loss-9', category: 'goal', priority: 'high', context: null,
+    conditions: { dosha: [], season: [], time_slot: [], goal: ['weight_loss'], condition: ['diabetes'] },
+    text: { en: 'Choose millets over polished rice to keep blood sugar steady.' }
+  };
+  const only = [...rules.filter((rule) => rule.category !== 'goal'), conditionTip];
+  const withCondition = await generateAdvisory({ profile: { ...sampleProfile, medical_conditions: ['Type 2 Diabetes'] }, context, rules: only });
+  const without = await generateAdvisory({ profile: sampleProfile, context, rules: only });
+  if (!withCondition.recommendations.some((rec) => rec.id === 'weight_loss-9') || without.recommendations.some((rec) => rec.id === 'weight_loss-9')) {
+    throw new Error('Condition tips should only go to users with the condition');
+  }
+
+  console.log('\n✓ Test 4 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 4 FAILED:', error.message);
+  process.exit(1);
+}
+
+console.log('Test 5: Scored Rule Selection');
+console.log('================================\n');
+
+try {
+  const context = { hour: 19, date: '2026-04-10', seed: 'user-42' };
+  const ids = (advisory) => advisory.recommendations.map((rec) => rec.id);
+  const reasonsOf = (rec) => rec.reasons.map((reason) => `${reason.match}:${reason.value}`);
+
+  // Every goal gets a say, not just the first
+  const goalsOnly = await generateAdvisory({ profile: sampleProfile, context });
+  console.log(`  - goals: ${ids(goalsOnly).join(', ')}`);
+  if (!['weight_loss', 'energy'].every((goal) => goalsOnly.recommendations.some((rec) => reasonsOf(rec).includes(`goal:${goal}`)))) {
+    throw new Error('Each goal should get a tip');
+  }
+
+  // A reported feeling and medical conditions outrank general tips, and say so
+  const profile = { ...sampleProfile, medical_conditions: ['Type 2 Diabetes', 'High Blood Pressure'] };
+  const advisory = await generateAdvisory({ profile, context: { ...context, feeling: 'stressed' } });
+  advisory.recommendations.forEach((rec) => console.log(`  - ${rec.id} (${rec.score}): ${reasonsOf(rec).join(', ')}`));
+  const [first] = advisory.recommendations;
+  if (first.id !== 'pitta-2' || !reasonsOf(first).includes('feeling:stressed') || !reasonsOf(first).includes('dosha:Pitta')) {
+    throw new Error('The Pitta tip for stress should come first');
+  }
+  if (!ids(advisory).includes('evening-2')) throw new Error('The evening tip should be the one for stress');
+  if (!['diabetes', 'hypertension'].every((condition) => advisory.recommendations.some((rec) => reasonsOf(rec).includes(`condition:${condition}`)))) {
+    throw new Error('Each medical condition should get a tip');
+  }
+  if (advisory.recommendations.some((rec, i, recs) => i && rec.score > recs[i - 1].score)) {
+    throw new Error('Recommendations should be ranked by score');
+  }
+  if (advisory.recommendations.some((rec) => rec.score !== rec.reasons.reduce((sum, r) => sum + r.weight, 0) + { high: 3, medium: 2, low: 1 }[rec.priority])) {
+    throw new Error('A score should be its reasons plus its priority');
+  }
+
+  console.log('\n✓ Test 5 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 5 FAILED:', error.message);
+  process.exit(1);
+}
+
+console.log('Test 6: No Repeats From Small or Changing Pools');
+console.log('================================\n');
+
+try {
+  const rules = loadAdvisoryRulesFromCSV();
+  const tip = (rule_id, category, conditions = {}) => ({
+    rule_id, category, priority: 'medium', context: null,
+    conditions: { dosha: [], season: [], time_slot: [], goal: [], condition: [], ...conditions },
+    text: { en: `Tip ${rule_id}` }
+  });
+  const days = async (profile, start, count, context, tips) => {
+    const run = [];
+    for (let i = 0; i < count; i++) {
+      const advisory = await generateAdvisory({ profile, context: { ...context, date: addDays(start, i) }, rules: tips });
+      run.push(advisory.recommendations.map((rec) => rec.id));
+    }
+    return run;
+  };
+  const repeated = (run, id) => run.some((day, i) => i && day.includes(id) && run[i - 1].includes(id));
+
+  // The only gout tip is given every other day
+  const gout = [...rules, tip('gout-1', 'condition', { condition: ['gout'] })];
+  const goutRun = await days({ ...sampleProfile, medical_conditions: ['gout'] }, '2026-04-01', 10, { hour: 8, seed: 'user-7' }, gout);
+  const goutDays = goutRun.filter((day) => day.includes('gout-1')).length;
+  console.log(`  - one-tip pool: gout-1 on ${goutDays} of ${goutRun.length} days`);
+  if (goutDays !== 5 || repeated(goutRun, 'gout-1')) throw new Error('A lone tip should be given every other day');
+
+  // The one evening tip for stress alternates with the other evening tips
+  const stressRun = await days(sampleProfile, '2026-04-01', 10, { hour: 19, seed: 'user-7', feeling: 'stressed' }, rules);
+  const evening = stressRun.map((day) => day.find((id) => id.startsWith('evening-')));
+  console.log(`  - lone most relevant tip: ${evening.join(', ')}`);
+  if (evening.filter((id) => id === 'evening-2').length !== 5 || evening.some((id, i) => i && id === evening[i - 1])) {
+    throw new Error('The stress tip should alternate with the other evening tips');
+  }
+
+  // Pools that shrink when Grishma begins (15 May) still move on every day, for any seed
+  const pitta = (id, season) => tip(id, 'dosha', { dosha: ['Pitta'], season });
+  const both = ['vasanta', 'grishma'];
+  const shrinking = {
+    'five to three': [pitta('pitta-a', ['vasanta']), pitta('pitta-b', ['vasanta']), pitta('pitta-c', both), pitta('pitta-d', both), pitta('pitta-e', both)],
+    'three to two': [pitta('pitta-a', ['vasanta']), pitta('pitta-c', both), pitta('pitta-d', both)]
+  };
+  for (const [shape, tips] of Object.entries(shrinking)) {
+    const changing = [...rules.filter((rule) => rule.category !== 'dosha'), ...tips];
+    for (const seed of Array.from({ length: 20 }, (_, i) => `user-${i + 1}`)) {
+      const run = await days(sampleProfile, '2026-05-10', 10, { hour: 8, seed }, changing);
+      const dosha = run.map((day) => day.find((id) => id.startsWith('pitta-')));
+      if (dosha.some((id, i) => i && id === dosha[i - 1])) throw new Error(`${shape}, ${seed}: ${dosha.join(', ')} repeats a tip`);
+      if (seed === 'user-1') console.log(`  - ${shape}: ${dosha.join(', ')}`);
+    }
+  }
+
+  const onlyKapha = [...rules.filter((rule) => rule.category !== 'dosha'), tip('kapha-x', 'dosha', { dosha: ['Kapha'] })];
+  const quick = ['2026-04-10', '2026-04-11'].map((date) => generateQuickTip('Kapha', { seed: 'user-7', date, rules: onlyKapha }).tip_id);
+  console.log(`  - one-tip quick tips: ${quick.join(', ')}`);
+  if (!quick.includes('kapha-x') || quick[0] === quick[1]) throw new Error('A lone quick tip should be given every other day');
+
+  console.log('\n✓ Test 6 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 6 FAILED:', error.message);
+  process.exit(1);
+}
+
 console.log('ALL TESTS PASSED ✓');
@@ -3,8 +3,27 @@
  * Tests the Ayurvedic scoring and meal planning logic
  */
 
-import { buildPlan } from '../services/ruleEngine.js';
-import { calculateTargetCalories, getMacroTargets } from '../services/nutrition.js';
+import { buildPlan, scoreFoods, resolveDoshaWeights, inferFoodType } from '../services/ruleEngine.js';
+import { calculateTargetCalories, getMacroTargets, getMacroGrams, calculateFoodMacros } from '../services/nutrition.js';
+import { evaluateRules } from '../services/ruleInterpreter.js';
+import { loadRulesFromCSV } from '../models/rules.js';
+import { findIncompatibilities } from '../services/compatibility.js';
+import { rasaCoverage, rasaTargets } from '../services/rasa.js';
+import { solvePortions } from '../services/optimizer.js';
+import { readDataCSV } from '../lib/csv.js';
+import { foodGroup } from '../services/foodGroups.js';
+import { loadDietClasses, dietClass, dietViolation } from '../services/dietPatterns.js';
+import { findContraindications, normalizeCondition, loadFoodNutrients } from '../services/contraindications.js';
+import { loadFoodAllergens, resolveAllergies, matchAllergy } from '../services/allergens.js';
+import { swapAlternatives, applySwap, locksFromPlan, findSlot } from '../services/planEdits.js';
+import { loadFoodMeasures, householdMeasure, rawGramsFromMeasure } from '../services/measures.js';
+import { loadRecipesFromCSV } from '../models/recipes.js';
+import { recipeNutrition, withRecipes, filterRecipes } from '../services/recipes.js';
+import { buildGroceryList, purchaseQuantity, exportGroceryList } from '../services/groceryList.js';
+import { pantryStock, pantryAdjustment, consumeStock, pantrySummary, PANTRY_WEIGHTS } from '../services/pantry.js';
+import { loadFoodPrices, foodPrice, budgetAdjustment } from '../services/prices.js';
+import { getRitu, seasonWeights, normaliseSeason } from '../services/seasons.js';
+import { localDate, localHour, addDays, weekdayOf } from '../lib/dates.js';
 
 // Sample test data
 const sampleFoods = [
@@ -130,4 +149,1348 @@ try {
   process.exit(1);
 }
 
+// Test 2: Weekly Plan Generation
+console.log('Test 2: Weekly Plan Rotation');
+console.log('================================');
+try {
+  const plan = buildPlan({
+    profile: sampleProfile,
+    foods: sampleFoods,
+    plan_type: 'weekly',
+    targetCalories: 2000
+  });
+
+  console.log(`  - Days: ${plan.days.length}`);
+  plan.weekly_totals.forEach((week) => {
+    console.log(`  - Week ${week.week}: ${week.total_calories} kcal, avg ${week.average_daily_calories} kcal/day, ${week.unique_foods} foods`);
+  });
+
+  if (plan.days.length !== 7) {
+    throw new Error(`Expected 7 days, got ${plan.days.length}`);
+  }
+  if (plan.days.some((day) => day.meals.length !== 4)) {
+    throw new Error('Expected 4 meals (including snack) on every day');
+  }
+
+  const breakfastMains = plan.days.map((day) => day.meals[0].items[0]?.food_id);
+  const repeatsNextDay = breakfastMains.filter((id, i) => i > 0 && id === breakfastMains[i - 1]).length;
+  console.log(`  - Breakfast mains: ${breakfastMains.join(', ')}`);
+  if (repeatsNextDay === breakfastMains.length - 1) {
+    throw new Error('Expected breakfast foods to rotate across the week');
+  }
+
+  const summed = plan.days.reduce((sum, day) => sum + day.total_calories, 0);
+  if (plan.weekly_totals[0].total_calories !== summed) {
+    throw new Error('Weekly total does not match the sum of daily calories');
+  }
+
+  const monthly = buildPlan({ profile: sampleProfile, foods: sampleFoods, plan_type: 'monthly', targetCalories: 2000 });
+  if (monthly.days.length !== 30 || monthly.weekly_totals.length !== 5) {
+    throw new Error('Expected 30 days grouped into 5 weeks for a monthly plan');
+  }
+
+  console.log('\n✓ Test 2 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 2 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 3: Data-driven Rule Interpreter
+console.log('Test 3: Rule Matrix Interpreter');
+console.log('================================');
+try {
+  const rules = loadRulesFromCSV();
+  const almond = sampleFoods.find((f) => f.name === 'Almond');
+  const result = evaluateRules(rules, almond, { dosha: 'Pitta', season: 'winter', goals: [] });
+
+  console.log(`  - Rules loaded: ${rules.length}`);
+  console.log(`  - Almond for Pitta: ${result.score}`);
+  result.applied.forEach((r) => console.log(`    * #${r.rule_id} ${r.description} (${r.score_adjustment})`));
+
+  const ids = result.applied.map((r) => r.rule_id);
+  // 2: contains Pitta, 14: heating, 23: sweet
+  if (![2, 14, 23].every((id) => ids.includes(id))) {
+    throw new Error(`Expected rules 2, 14 and 23 to fire, got ${ids.join(',')}`);
+  }
+  if (ids.includes(5)) {
+    throw new Error('Season rule should not fire for a food available all year');
+  }
+  if (result.applied.some((r, i) => i > 0 && r.priority < result.applied[i - 1].priority)) {
+    throw new Error('Applied rules should be reported in priority order');
+  }
+
+  // Editing data changes the score without touching code
+  const edited = [...rules, { rule_id: 99, priority: 1, category: 'dosha', attribute: 'name', operator: 'equals', value: 'Almond', score_adjustment: 5, description: 'Test override', applies_when: 'dosha=Pitta' }];
+  const boosted = evaluateRules(edited, almond, { dosha: 'Pitta', season: 'winter' });
+  if (boosted.score !== result.score + 5) {
+    throw new Error('Custom rule did not change the score');
+  }
+
+  // A rule of an earlier priority on the same attribute overrides later ones
+  const forWeightLoss = { dosha: 'Pitta', season: 'winter', goals: ['weight_loss'] };
+  const before = evaluateRules(rules, almond, forWeightLoss);
+  const nutDense = { rule_id: 98, priority: 2, category: 'goal', attribute: 'calories_100g', operator: 'gte', value: '500', score_adjustment: 1, description: 'Nut-dense food, small portions suit weight loss', applies_when: 'goal=weight_loss' };
+  const overriding = evaluateRules([...rules, nutDense], almond, forWeightLoss);
+  console.log(`  - Almond for weight loss: ${before.score} -> ${overriding.score}, overridden ${JSON.stringify(overriding.overridden)}`);
+  if (!before.applied.some((r) => r.rule_id === 12) || overriding.applied.some((r) => r.rule_id === 12)) {
+    throw new Error('Rule 12 should be overridden by the earlier-priority calorie rule');
+  }
+  if (overriding.score !== before.score + 1 + 1 || overriding.overridden[0]?.overridden_by !== 98) {
+    throw new Error('An overridden rule should add nothing and name the rule that overrode it');
+  }
+  const samePriority = evaluateRules([...rules, { ...nutDense, priority: 4 }], almond, forWeightLoss);
+  if (samePriority.score !== before.score + 1 || samePriority.overridden.length) {
+    throw new Error('Rules of the same priority should all count');
+  }
+
+  const plan = buildPlan({ profile: sampleProfile, foods: sampleFoods, targetCalories: 2000, rules: edited });
+  const item = plan.meals.flatMap((m) => m.items).find((it) => it.name === 'Almond');
+  if (!item || !item.applied_rules.some((r) => r.rule_id === 99)) {
+    throw new Error('Expected plan items to carry their applied rules');
+  }
+
+  console.log('\n✓ Test 3 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 3 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 4: Explanation Trace
+console.log('Test 4: Explanation Logs');
+console.log('================================');
+try {
+  const plan = buildPlan({
+    profile: { ...sampleProfile, allergies: ['almond'] },
+    foods: sampleFoods,
+    plan_type: 'daily',
+    targetCalories: 2000
+  });
+
+  const selected = plan.explanation_logs.filter((log) => log.status === 'selected');
+  const rejected = plan.explanation_logs.filter((log) => log.status === 'rejected');
+  const itemCount = plan.meals.reduce((sum, meal) => sum + meal.items.length, 0);
+
+  console.log(`  - Selected traces: ${selected.length}`);
+  console.log(`  - Rejected traces: ${rejected.map((log) => `${log.name} (${log.filter})`).join(', ')}`);
+
+  if (selected.length !== itemCount) {
+    throw new Error(`Expected one trace per plan item (${itemCount}), got ${selected.length}`);
+  }
+  const trace = selected[0];
+  if (!trace.pass || !trace.scores?.dosha || trace.scores.dosha.weight !== 2 || !Array.isArray(trace.applied_rules)) {
+    throw new Error('Selected trace is missing pass, weighted sub-scores or applied rules');
+  }
+  if (!rejected.some((log) => log.name === 'Almond' && log.filter === 'allergy')) {
+    throw new Error('Expected Almond to be traced as rejected by the allergy filter');
+  }
+
+  console.log('\n✓ Test 4 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 4 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 5: Dual-dosha Scoring
+console.log('Test 5: Dual-dosha Scoring');
+console.log('================================');
+try {
+  const weights = resolveDoshaWeights('Vata-Pitta', { vata: 55, pitta: 35, kapha: 10 });
+  console.log(`  - Vata-Pitta weights: ${JSON.stringify(weights)}`);
+  if (weights.Vata !== 0.61 || weights.Pitta !== 0.39) {
+    throw new Error('Expected weights normalised from quiz percentages');
+  }
+  if (resolveDoshaWeights('Pitta-Kapha').Pitta !== 0.5) {
+    throw new Error('Expected an even split when percentages are missing');
+  }
+
+  const gourd = sampleFoods.filter((f) => f.name === 'Bottle Gourd');
+  const doshaScore = (profile) => {
+    const plan = buildPlan({ profile, foods: gourd, targetCalories: 2000 });
+    return { plan, score: plan.explanation_logs[0].scores.dosha.raw };
+  };
+  const vata = doshaScore({ ...sampleProfile, dosha_result: 'Vata' }).score;
+  const pitta = doshaScore({ ...sampleProfile, dosha_result: 'Pitta' }).score;
+  const { plan, score: dual } = doshaScore({ ...sampleProfile, dosha_result: 'Vata-Pitta', dosha_percentages: { vata: 55, pitta: 35, kapha: 10 } });
+
+  console.log(`  - Bottle Gourd dosha score: Vata ${vata}, Pitta ${pitta}, Vata-Pitta ${dual}`);
+  const expected = vata * 0.61 + pitta * 0.39;
+  if (vata === pitta) {
+    throw new Error('Test food should score differently for Vata and Pitta');
+  }
+  if (Math.abs(dual - expected) > 1e-9) {
+    throw new Error(`Expected blended dosha score ${expected}, got ${dual}`);
+  }
+  if (plan.dosha_weights.Vata !== 0.61) {
+    throw new Error('Plan should report the dosha weights it used');
+  }
+
+  console.log('\n✓ Test 5 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 5 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 6: Vikriti over Prakriti
+console.log('Test 6: Vikriti Targeting');
+console.log('================================');
+try {
+  const plan = buildPlan({
+    profile: { ...sampleProfile, dosha_result: 'Vata', vikriti_result: 'Pitta' },
+    foods: sampleFoods,
+    targetCalories: 2000
+  });
+
+  console.log(`  - Prakriti: ${plan.prakriti}, Vikriti: ${plan.vikriti}, Target: ${plan.dosha_target}`);
+  console.log(`  - Weights: ${JSON.stringify(plan.dosha_weights)}`);
+
+  if (plan.dosha_target !== 'Pitta') {
+    throw new Error('Expected the plan to target vikriti');
+  }
+  if (plan.dosha_weights.Pitta !== 0.7 || plan.dosha_weights.Vata !== 0.3) {
+    throw new Error('Expected 70% vikriti / 30% prakriti weighting');
+  }
+
+  const prakritiOnly = buildPlan({ profile: { ...sampleProfile, dosha_result: 'Vata' }, foods: sampleFoods, targetCalories: 2000 });
+  if (prakritiOnly.vikriti !== null || prakritiOnly.dosha_weights.Vata !== 1) {
+    throw new Error('Without vikriti the plan should target prakriti alone');
+  }
+
+  console.log('\n✓ Test 6 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 6 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 7: Viruddha Ahara
+console.log('Test 7: Incompatible Food Combinations');
+console.log('================================');
+try {
+  const milk = { food_id: 'f_285', source_id: 'K007', name: 'Milk, cow', common_names: 'Gai ka Doodh', dosha_impact: 'Vata,Pitta', tastes: 'sweet', qualities: 'heavy, unctuous', energy: 'cooling', season: 'all', calories_100g: 67, carbs_100g: 4.4, protein_100g: 3.2, fat_100g: 4.1 };
+  const curd = { food_id: 'f_282', source_id: 'K004', name: 'Curd', common_names: 'Dahi|Thayir', tastes: 'sour', energy: 'heating', season: 'all', calories_100g: 98 };
+  const fish = { food_id: 'f_290', source_id: 'L004', name: 'Fish, katla', common_names: 'Katla', tastes: 'sweet', calories_100g: 111 };
+
+  const conflicts = findIncompatibilities([milk, curd, fish]);
+  conflicts.forEach((c) => console.log(`  - ${c.foods.map((f) => f.name).join(' + ')}: ${c.reason} [${c.severity}]`));
+  const pairs = conflicts.map((c) => c.foods.map((f) => f.food_id).sort().join('+'));
+  if (!pairs.includes('f_282+f_285') || !pairs.includes('f_285+f_290') || !pairs.includes('f_282+f_290')) {
+    throw new Error('Expected milk+curd, milk+fish and curd+fish to be flagged');
+  }
+  if (findIncompatibilities([milk, sampleFoods.find((f) => f.name === 'Almond')]).length) {
+    throw new Error('Milk with almond should be compatible');
+  }
+
+  // With only milk and banana available every meal would otherwise pair them
+  const banana = sampleFoods.find((f) => f.name === 'Banana');
+  const plan = buildPlan({ profile: sampleProfile, foods: [banana, milk], targetCalories: 2000 });
+  const clash = plan.meals.find((meal) => {
+    const names = meal.items.map((it) => it.name);
+    return names.includes('Milk, cow') && names.includes('Banana');
+  });
+  if (clash) {
+    throw new Error(`Milk and banana were combined in ${clash.meal_type}`);
+  }
+
+  console.log('\n✓ Test 7 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 7 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 8: Shad Rasa Coverage
+console.log('Test 8: Six Tastes Coverage');
+console.log('================================');
+try {
+  const ginger = { food_id: 'f_260', source_id: 'G010', name: 'Ginger, fresh', dosha_impact: 'Vata,Kapha', tastes: 'pungent, sweet', energy: 'heating', season: 'all', calories_100g: 67, carbs_100g: 12.3, protein_100g: 2.3, fat_100g: 0.9 };
+  const foods = [...sampleFoods, ginger];
+
+  const coverage = rasaCoverage(sampleFoods, rasaTargets({ Vata: 0, Pitta: 1, Kapha: 0 }));
+  console.log(`  Sample foods: present ${coverage.present.join(', ')}; missing ${coverage.missing.join(', ')}`);
+  if (!coverage.missing.includes('pungent') || coverage.present.includes('pungent')) {
+    throw new Error('Sample foods should be missing the pungent taste');
+  }
+
+  const plan = buildPlan({ profile: sampleProfile, foods: sampleFoods, targetCalories: 2000 });
+  plan.meals.forEach((meal) => {
+    if (!meal.rasa_coverage || !Array.isArray(meal.rasa_coverage.missing)) {
+      throw new Error(`${meal.meal_type} has no rasa_coverage`);
+    }
+  });
+  const advisory = plan.advisories.find((a) => a.type === 'missing_tastes');
+  if (!advisory || plan.advisories.some((a) => a.meal_type === 'snack')) {
+    throw new Error('Expected missing_tastes advisories for main meals only');
+  }
+  console.log(`  ${advisory.message}`);
+  // The sample foods have no spices or sweeteners, so nothing is offered to add "a little" of
+  if (plan.advisories.some((a) => Object.values(a.suggestions).flat().length)) {
+    throw new Error('Only condiments and spices should be suggested for missing tastes');
+  }
+
+  // Ginger is the only pungent food, so it should be suggested
+  const withGinger = buildPlan({ profile: sampleProfile, foods, targetCalories: 2000 });
+  const suggested = withGinger.advisories
+    .flatMap((a) => a.suggestions.pungent || [])
+    .some((s) => s.name === 'Ginger, fresh');
+  const eaten = withGinger.meals.some((m) => m.items.some((it) => it.name === 'Ginger, fresh'));
+  if (!suggested && !eaten) {
+    throw new Error('Ginger should be picked or suggested to supply the pungent taste');
+  }
+
+  console.log('\n✓ Test 8 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 8 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 9: Macro-aware Optimizer
+console.log('Test 9: Macro-aware Day Optimizer');
+console.log('================================');
+try {
+  // Three foods cannot hit every macro exactly, but the portion solve should land the calories
+  const [dal, rice, , , almond] = sampleFoods;
+  const solved = solvePortions(
+    [{ target: 800, bounds: [20, 300], items: [dal, rice, almond].map((f) => ({ entry: { f, score: 0 } })) }],
+    { targetCalories: 800, macroTargets: { protein: 20, carbs: 55, fats: 25 } }
+  );
+  const grams = solved.meals[0].items.map((it) => it.grams);
+  const kcal = [dal, rice, almond].reduce((sum, f, i) => sum + (f.calories_100g * grams[i]) / 100, 0);
+  console.log(`  - Dal/rice/almond portions: ${grams.join('g, ')}g = ${Math.round(kcal)} kcal (fit ${solved.fit.toFixed(1)})`);
+  if (Math.abs(kcal - 800) > 40) {
+    throw new Error(`Expected about 800 kcal, got ${Math.round(kcal)}`);
+  }
+  if (grams.some((g) => g < 20 || g > 300)) {
+    throw new Error('Portions must stay within bounds');
+  }
+
+  // The five sample foods are too few to balance a whole day, so use the full food table
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const plan = buildPlan({ profile: sampleProfile, foods, targetCalories: 2000 });
+  console.log(`  - Target: ${JSON.stringify(plan.macro_targets)}`);
+  console.log(`  - Actual: ${JSON.stringify(plan.macro_actuals)}`);
+  console.log(`  - Deviation: ${JSON.stringify(plan.macro_deviation)}, ${plan.calorie_deviation} kcal`);
+  if (!['protein', 'carbs', 'fats'].every((k) => typeof plan.macro_deviation[k] === 'number')) {
+    throw new Error('Expected macro_deviation for protein, carbs and fats');
+  }
+  const worst = Math.max(...Object.values(plan.macro_deviation).map(Math.abs));
+  if (worst > 5) {
+    throw new Error(`Macro split misses target by ${worst} points`);
+  }
+  if (Math.abs(plan.calorie_deviation) > 200) {
+    throw new Error(`Calories miss target by ${plan.calorie_deviation} kcal`);
+  }
+
+  console.log('\n✓ Test 9 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 9 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 10: Macro Gram Targets
+console.log('Test 10: Macro Targets in Grams');
+console.log('================================');
+try {
+  const grams = getMacroGrams(2000, { protein: 20, carbs: 55, fats: 25 });
+  console.log(`  - 2000 kcal at 20/55/25: ${JSON.stringify(grams)}`);
+  if (grams.protein_g !== 100 || grams.carbs_g !== 275 || grams.fat_g !== 56) {
+    throw new Error('Expected 100 g protein, 275 g carbs and 56 g fat');
+  }
+
+  const plan = buildPlan({ profile: sampleProfile, foods: sampleFoods, targetCalories: 2000 });
+  if (plan.macro_targets.carbs_g !== 275 || plan.macro_targets.carbs !== 55) {
+    throw new Error('Plan macro_targets should carry both percentages and grams');
+  }
+  plan.meals.forEach((meal) => {
+    console.log(`  - ${meal.meal_type}: target ${meal.macro_targets.carbs_g} g carbs, consumed ${meal.macros_consumed.carbs_g} g`);
+    if (typeof meal.macro_targets.protein_g !== 'number' || typeof meal.macros_consumed.fat_g !== 'number') {
+      throw new Error(`${meal.meal_type} is missing macro targets or consumed totals`);
+    }
+  });
+  const mealCarbs = plan.meals.reduce((sum, meal) => sum + meal.macros_consumed.carbs_g, 0);
+  if (Math.abs(mealCarbs - plan.macros_consumed.carbs_g) > 1) {
+    throw new Error('Meal consumed carbs should add up to the day total');
+  }
+
+  console.log('\n✓ Test 10 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 10 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 11: Diet Patterns
+console.log('Test 11: Diet Pattern Filtering');
+console.log('================================');
+try {
+  const classes = loadDietClasses();
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const unclassified = foods.filter((f) => !classes.has(f.food_id));
+  if (unclassified.length) {
+    throw new Error(`Foods missing from food_diet_classes.csv: ${unclassified.map((f) => f.food_id).join(', ')}`);
+  }
+
+  const checks = {
+    vegetarian: ({ origin }) => ['plant', 'dairy', 'honey'].includes(origin),
+    vegan: ({ origin }) => origin === 'plant',
+    eggetarian: ({ origin }) => ['plant', 'dairy', 'honey', 'egg'].includes(origin),
+    jain: ({ origin, jain_avoid }) => ['plant', 'dairy', 'honey'].includes(origin) && !jain_avoid,
+    sattvic: ({ origin, guna }) => ['plant', 'dairy', 'honey'].includes(origin) && guna === 'sattvic'
+  };
+  Object.entries(checks).forEach(([pattern, allowed]) => {
+    const plan = buildPlan({ profile: { ...sampleProfile, diet_pref: pattern }, foods, plan_type: 'weekly', targetCalories: 2000 });
+    const items = plan.days.flatMap((d) => d.meals.flatMap((m) => m.items));
+    const bad = items.filter((it) => !allowed(classes.get(it.food_id)));
+    console.log(`  - ${pattern}: ${new Set(items.map((it) => it.food_id)).size} foods over 7 days, ${bad.length} outside the pattern`);
+    if (bad.length) {
+      throw new Error(`${pattern} plan includes ${bad.map((it) => it.name).join(', ')}`);
+    }
+  });
+
+  const jainPlan = buildPlan({ profile: { ...sampleProfile, diet_pref: 'jain' }, foods, targetCalories: 2000 });
+  const rejected = jainPlan.explanation_logs.find((l) => l.status === 'rejected' && l.filter === 'diet');
+  if (!rejected) {
+    throw new Error('Expected diet rejections in explanation_logs');
+  }
+
+  // Foods outside the CSV are classified from group and name
+  const chicken = dietClass({ name: 'Chicken curry', type: 'protein' }, classes);
+  if (chicken.origin !== 'meat' || !dietViolation({ name: 'Chicken curry', type: 'protein' }, 'vegetarian', classes)) {
+    throw new Error('Unlisted chicken should be classified as meat and rejected for vegetarians');
+  }
+  if (dietViolation({ name: 'Garlic chutney', type: 'spice' }, 'jain', classes) === null) {
+    throw new Error('Garlic should be rejected for a Jain diet');
+  }
+
+  console.log('\n✓ Test 11 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 11 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 12: Contraindication Knowledge Base
+console.log('Test 12: Medical Contraindications');
+console.log('================================');
+try {
+  const sugar = { food_id: 'f_280', source_id: 'I003', name: 'Sugar', tastes: 'sweet', calories_100g: 398, carbs_100g: 99.5 };
+  const banana = sampleFoods.find((f) => f.name === 'Banana');
+  const rice = sampleFoods.find((f) => f.name === 'Basmati Rice');
+
+  if (normalizeCondition('High Blood Pressure') !== 'hypertension' || normalizeCondition('Diabetes') !== 'diabetes') {
+    throw new Error('Condition names should be normalised');
+  }
+  const sugarHits = findContraindications(sugar, ['diabetes']);
+  if (sugarHits[0]?.severity !== 'avoid') {
+    throw new Error('Sugar should be avoided for diabetes');
+  }
+  if (findContraindications(banana, ['kidney_disease'])[0]?.severity !== 'avoid') {
+    throw new Error('Banana should be avoided for kidney disease');
+  }
+  // Nutrient thresholds only fire when the food carries the nutrient
+  if (findContraindications({ ...rice, sodium_mg_100g: 450 }, ['hypertension'])[0]?.rule_id !== 8) {
+    throw new Error('Sodium over 400 mg should be avoided for hypertension');
+  }
+  if (findContraindications(rice, ['hypertension']).length) {
+    throw new Error('Rice without sodium data should not match hypertension rules');
+  }
+
+  const plan = buildPlan({
+    profile: { ...sampleProfile, medical_conditions: ['Diabetes'] },
+    foods: [...sampleFoods, sugar],
+    targetCalories: 2000
+  });
+  const names = plan.meals.flatMap((m) => m.items.map((it) => it.name));
+  if (names.includes('Sugar')) {
+    throw new Error('Sugar should not appear in a diabetic plan');
+  }
+  const rejected = plan.explanation_logs.find((l) => l.name === 'Sugar');
+  console.log(`  - Sugar: ${rejected?.detail}`);
+  if (rejected?.filter !== 'contraindication' || !rejected.detail.includes('diabetes')) {
+    throw new Error('Sugar rejection should carry the diabetes reason');
+  }
+
+  // White rice is limited: kept, annotated and held to a small portion
+  const riceItem = plan.meals.flatMap((m) => m.items).find((it) => it.name === 'Basmati Rice');
+  console.log(`  - Basmati Rice: ${riceItem ? `${riceItem.grams}g, ${riceItem.contraindications?.[0]?.reason}` : 'not selected'}`);
+  if (!riceItem || !riceItem.contraindications || riceItem.grams > 75) {
+    throw new Error('Limited foods should carry the reason and a portion of at most 75g');
+  }
+  plan.contraindications.forEach((c) => console.log(`  - #${c.rule_id} ${c.condition} (${c.severity}): ${c.food_count} food(s)`));
+  if (!plan.contraindications.some((c) => c.condition === 'diabetes' && c.severity === 'avoid')) {
+    throw new Error('Plan should summarise the contraindications applied');
+  }
+
+  console.log('\n✓ Test 12 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 12 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 13: Allergen Taxonomy
+console.log('Test 13: Allergen Families');
+console.log('================================');
+try {
+  const foodAllergens = loadFoodAllergens();
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const unmapped = foods.filter((f) => !foodAllergens.has(f.food_id));
+  if (unmapped.length) {
+    throw new Error(`Foods missing from food_allergens.csv: ${unmapped.map((f) => f.food_id).join(', ')}`);
+  }
+
+  const resolved = resolveAllergies(['Peanuts', 'dairy', 'banana']);
+  if (resolved[0].allergen !== 'peanut' || resolved[1].allergen !== 'milk' || resolved[2].allergen !== null) {
+    throw new Error(`Unexpected resolution: ${JSON.stringify(resolved)}`);
+  }
+  const groundnut = foods.find((f) => f.name === 'Groundnut, roasted');
+  if (matchAllergy(groundnut, resolved)?.allergen !== 'peanut') {
+    throw new Error('"Peanuts" should screen out roasted groundnut');
+  }
+  // Foods outside the mapping fall back to words in their names
+  if (matchAllergy({ name: 'Paneer tikka' }, resolved)?.allergen !== 'milk') {
+    throw new Error('"dairy" should screen out paneer');
+  }
+
+  const plan = buildPlan({
+    profile: { ...sampleProfile, dosha_result: 'Vata', allergies: ['Peanuts', 'dairy', 'banana'] },
+    foods,
+    plan_type: 'weekly',
+    targetCalories: 2000
+  });
+  const eaten = plan.days.flatMap((d) => d.meals.flatMap((m) => m.items));
+  const bad = eaten.filter((it) => {
+    const families = foodAllergens.get(it.food_id) || [];
+    return families.includes('peanut') || families.includes('milk') || /banana/i.test(it.name);
+  });
+  if (bad.length) {
+    throw new Error(`Plan includes allergens: ${bad.map((it) => it.name).join(', ')}`);
+  }
+  plan.allergens_screened.forEach((a) => console.log(`  - "${a.requested}" -> ${a.allergen || 'name match'}: ${a.food_count} food(s) removed`));
+  // Banana also matches plantain flower and stem through their common names
+  const counts = Object.fromEntries(plan.allergens_screened.map((a) => [a.requested, a.food_count]));
+  if (counts.Peanuts !== 2 || counts.dairy !== 8 || counts.banana !== 6) {
+    throw new Error(`Unexpected screened counts: ${JSON.stringify(counts)}`);
+  }
+
+  console.log('\n✓ Test 13 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 13 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 14: Liked Foods and Soft Dislikes
+console.log('Test 14: Liked Foods and Soft Dislikes');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const profileWith = (preferences) => ({ ...sampleProfile, preferences });
+
+  // Karela is Pitta-compatible, so the guarantee puts a bitter gourd in every day
+  const plan = buildPlan({ profile: profileWith({ liked: ['karela'] }), foods, plan_type: 'weekly', targetCalories: 2000 });
+  plan.days.forEach((d) => {
+    const favourite = d.meals.flatMap((m) => m.items).find((it) => it.preference === 'liked');
+    if (!favourite) {
+      throw new Error(`Day ${d.day} has no liked food`);
+    }
+    console.log(`  - Day ${d.day}: ${favourite.name}`);
+  });
+  const boosted = plan.explanation_logs.find((l) => l.status === 'selected' && l.scores.preference_boost > 0);
+  if (!boosted || boosted.scores.preference_boost !== 1.5) {
+    throw new Error('Expected a default preference_boost of 1.5 in explanation_logs');
+  }
+  const custom = buildPlan({ profile: profileWith({ liked: ['karela'], liked_boost: 4 }), foods, targetCalories: 2000 });
+  if (!custom.explanation_logs.some((l) => l.status === 'selected' && l.scores.preference_boost === 4)) {
+    throw new Error('liked_boost was not applied');
+  }
+
+  // Disliked foods are removed by default, and only penalised with dislike_mode 'penalize'
+  const hard = buildPlan({ profile: profileWith({ disliked: ['rice'] }), foods, plan_type: 'weekly', targetCalories: 2000 });
+  const hardRice = hard.days.flatMap((d) => d.meals.flatMap((m) => m.items)).filter((it) => /\brice\b/i.test(it.name));
+  if (hardRice.length || !hard.explanation_logs.some((l) => l.filter === 'disliked')) {
+    throw new Error('Disliked rice should be filtered out');
+  }
+  const soft = buildPlan({
+    profile: profileWith({ disliked: ['rice'], dislike_mode: 'penalize' }),
+    foods,
+    plan_type: 'weekly',
+    targetCalories: 2000
+  });
+  if (soft.explanation_logs.some((l) => l.filter === 'disliked')) {
+    throw new Error('Soft dislikes should not filter foods');
+  }
+  const softRice = soft.days.flatMap((d) => d.meals.flatMap((m) => m.items)).filter((it) => it.preference === 'disliked');
+  console.log(`  - Soft dislike: ${softRice.length} disliked item(s) over 7 days`);
+
+  console.log('\n✓ Test 14 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 14 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 15: Swapping a Plan Item
+console.log('Test 15: Swapping a Plan Item');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const plan = {
+    profile_snapshot: sampleProfile,
+    ...buildPlan({ profile: sampleProfile, foods, plan_type: 'weekly', targetCalories: 2000 })
+  };
+  const slot = { day: 2, meal_index: 1, item_index: 0 };
+  const { current, alternatives } = swapAlternatives(plan, slot, { foods, limit: 5 });
+  const typeOf = (id) => inferFoodType(foods.find((f) => f.food_id === id));
+  console.log(`  - Replacing ${current.name} (${current.macros.calories} kcal):`);
+  alternatives.forEach((a) => console.log(`    ${a.name} ${a.grams}g, ${a.calorie_difference >= 0 ? '+' : ''}${a.calorie_difference} kcal, cost ${a.swap_cost}`));
+  if (alternatives.length !== 5) {
+    throw new Error(`Expected 5 alternatives, got ${alternatives.length}`);
+  }
+  const dayFoods = new Set(plan.days[1].meals.flatMap((m) => m.items.map((it) => it.food_id)));
+  if (alternatives.some((a) => dayFoods.has(a.food_id))) {
+    throw new Error('Alternatives should not repeat a food already in the day');
+  }
+  if (alternatives.some((a, i) => i > 0 && a.swap_cost < alternatives[i - 1].swap_cost)) {
+    throw new Error('Alternatives should be sorted by swap_cost');
+  }
+  if (alternatives.some((a) => typeOf(a.food_id) !== typeOf(current.food_id))) {
+    throw new Error(`Alternatives should all be ${typeOf(current.food_id)} foods`);
+  }
+
+  const choice = alternatives[0];
+  const { changes, revision } = applySwap(plan, slot, choice.food_id, { foods });
+  const swapped = changes.days[1].meals[1];
+  if (swapped.items[0].food_id !== choice.food_id || changes.days[0] !== plan.days[0]) {
+    throw new Error('Swap should replace only the chosen item');
+  }
+  if (swapped.total_calories !== swapped.items.reduce((sum, it) => sum + it.macros.calories, 0)) {
+    throw new Error('Meal total was not recomputed');
+  }
+  if (changes.meals) {
+    throw new Error('Day-1 mirror fields should only change for day-1 swaps');
+  }
+  if (revision.revision !== 1 || revision.from.food_id !== current.food_id || revision.to.food_id !== choice.food_id) {
+    throw new Error(`Unexpected revision: ${JSON.stringify(revision)}`);
+  }
+  if (applySwap(plan, slot, current.food_id, { foods }) !== null) {
+    throw new Error('Swapping to a food already in the day should be refused');
+  }
+  const dayOne = applySwap(plan, { day: 1, meal_index: 0, item_index: 0 }, swapAlternatives(plan, { day: 1, meal_index: 0, item_index: 0 }, { foods }).alternatives[0].food_id, { foods });
+  if (dayOne.changes.meals !== dayOne.changes.days[0].meals || dayOne.changes.total_calories !== dayOne.changes.days[0].total_calories) {
+    throw new Error('Day-1 swaps should update the mirrored top-level fields');
+  }
+
+  console.log('\n✓ Test 15 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 15 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 16: Locks and Partial Regeneration
+console.log('Test 16: Locks and Partial Regeneration');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const plan = buildPlan({ profile: sampleProfile, foods, plan_type: 'weekly', targetCalories: 2000 });
+
+  // Pin day 1 lunch whole and the first breakfast item of day 2
+  const locks = locksFromPlan(plan, [{ day: 1, meal_index: 1 }, { day: 2, meal_index: 0, item_index: 0 }]);
+  const regenerated = buildPlan({ profile: sampleProfile, foods, plan_type: 'weekly', targetCalories: 2000, locks });
+
+  const lunch = (p) => p.days[0].meals[1].items.map((it) => `${it.food_id}@${it.grams}`).join(',');
+  console.log(`  - Day 1 lunch kept: ${lunch(regenerated)}`);
+  if (lunch(regenerated) !== lunch(plan)) {
+    throw new Error(`Locked lunch changed: ${lunch(plan)} -> ${lunch(regenerated)}`);
+  }
+  const pinned = plan.days[1].meals[0].items[0];
+  const kept = regenerated.days[1].meals[0].items.find((it) => it.food_id === pinned.food_id);
+  if (!kept || kept.grams !== pinned.grams || !kept.locked) {
+    throw new Error(`Pinned item ${pinned.name} was not kept at ${pinned.grams}g`);
+  }
+  regenerated.days.forEach((d) => {
+    console.log(`  - Day ${d.day}: ${d.total_calories} kcal, macro deviation ${JSON.stringify(d.macro_deviation)}`);
+    if (Math.abs(d.calorie_deviation) > 200) {
+      throw new Error(`Day ${d.day} is ${d.calorie_deviation} kcal off target`);
+    }
+  });
+  if (locksFromPlan(plan, [{ day: 9, meal_index: 0 }]) !== null) {
+    throw new Error('Pins outside the plan should be rejected');
+  }
+
+  // A pre-filled meal without grams is portioned by the engine and topped up
+  const rice = foods.find((f) => f.food_id === 'f_016');
+  const prefilled = buildPlan({
+    profile: sampleProfile,
+    foods,
+    targetCalories: 2000,
+    locks: [{ meal_type: 'dinner', items: [{ food_id: rice.food_id }] }]
+  });
+  const dinner = prefilled.meals.find((m) => m.meal_type === 'dinner');
+  if (!dinner.items.some((it) => it.food_id === rice.food_id && it.locked) || dinner.items.length < 2) {
+    throw new Error('Dinner should keep the locked rice and add other foods');
+  }
+  let unknown = null;
+  try {
+    buildPlan({ profile: sampleProfile, foods, targetCalories: 2000, locks: [{ meal_type: 'lunch', items: [{ food_id: 'f_999' }] }] });
+  } catch (error) {
+    unknown = error;
+  }
+  if (!unknown) {
+    throw new Error('Locking an unknown food should fail');
+  }
+  let allergic = null;
+  try {
+    buildPlan({
+      profile: { ...sampleProfile, allergies: ['rice'] },
+      foods,
+      targetCalories: 2000,
+      locks: [{ meal_type: 'lunch', items: [{ food_id: rice.food_id }] }]
+    });
+  } catch (error) {
+    allergic = error;
+  }
+  if (!allergic) {
+    throw new Error('Locking an allergen should fail');
+  }
+
+  console.log('\n✓ Test 16 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 16 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 17: Household Measures
+console.log('Test 17: Household Measures');
+console.log('================================');
+try {
+  const measures = loadFoodMeasures();
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const missing = foods.filter((f) => !measures.has(f.food_id));
+  if (missing.length) {
+    throw new Error(`Foods missing from food_measures.csv: ${missing.map((f) => f.food_id).join(', ')}`);
+  }
+
+  // 50 g raw rice cooks to 150 g, one katori
+  const rice = householdMeasure({ food_id: 'f_016' }, 50, measures);
+  const atta = householdMeasure({ food_id: 'f_020' }, 60, measures);
+  const almonds = householdMeasure({ food_id: 'f_223' }, 15, measures);
+  const dal = householdMeasure({ food_id: 'f_046' }, 90, measures);
+  console.log(`  - 50g rice: ${rice.text}; 60g atta: ${atta.text}; 15g almonds: ${almonds.text}; 90g tur dal: ${dal.text}`);
+  if (rice.text !== '1 katori cooked white rice' || rice.served_grams !== 150) {
+    throw new Error(`Unexpected rice measure: ${JSON.stringify(rice)}`);
+  }
+  if (atta.text !== '2 roti (atta)' || almonds.text !== '13 almonds' || dal.text !== '1½ katori tur dal') {
+    throw new Error(`Unexpected measures: ${atta.text}, ${almonds.text}, ${dal.text}`);
+  }
+
+  // Logged intake converts back to raw grams
+  if (rawGramsFromMeasure({ food_id: 'f_016' }, 2, 'katori', measures) !== 100) {
+    throw new Error('2 katori of cooked rice should be 100 g raw');
+  }
+  if (rawGramsFromMeasure({ food_id: 'f_016' }, 1, 'roti', measures) !== null) {
+    throw new Error('Rice has no roti size');
+  }
+
+  const plan = buildPlan({ profile: sampleProfile, foods, targetCalories: 2000 });
+  const items = plan.meals.flatMap((m) => m.items);
+  if (items.some((it) => !it.measure?.text || typeof it.grams !== 'number')) {
+    throw new Error('Every plan item should carry grams and a household measure');
+  }
+  items.forEach((it) => console.log(`  - ${it.name}: ${it.grams}g raw = ${it.measure.text}`));
+
+  console.log('\n✓ Test 17 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 17 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 18: Recipes
+console.log('Test 18: Recipes roll up nutrition and become meal items');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: Number(f.calories_100g),
+    carbs_100g: Number(f.carbs_100g),
+    protein_100g: Number(f.protein_100g),
+    fat_100g: Number(f.fat_100g)
+  }));
+  const foodsById = new Map(foods.map((f) => [f.food_id, f]));
+  const recipes = loadRecipesFromCSV();
+  console.log(`  - ${recipes.length} recipes loaded`);
+
+  // Nutrition is the sum of calculateFoodMacros over ingredients and spices
+  const dal = recipes.find((r) => r.name === 'Tur Dal Tadka');
+  const nutrition = recipeNutrition(dal, foodsById);
+  const expected = [...dal.ingredients, ...dal.spices]
+    .reduce((sum, { food_id, grams }) => sum + calculateFoodMacros(foodsById.get(food_id), grams).calories, 0);
+  console.log(`  - Tur Dal Tadka: ${nutrition.calories} kcal, ${nutrition.protein} g protein per serving`);
+  if (nutrition.calories !== expected || nutrition.missing_foods.length) {
+    throw new Error(`Expected ${expected} kcal from ingredients, got ${nutrition.calories}`);
+  }
+  const unknown = recipes.flatMap((r) => recipeNutrition(r, foodsById).missing_foods);
+  if (unknown.length) throw new Error(`Recipes reference unknown foods: ${unknown.join(', ')}`);
+
+  // Dosha and season filters
+  const forVata = filterRecipes(recipes, { dosha: 'vata' });
+  if (!forVata.length || forVata.some((r) => r.aggravates.includes('Vata') || !r.pacifies.includes('Vata'))) {
+    throw new Error('dosha=vata should list only recipes that pacify Vata');
+  }
+  const forSummer = filterRecipes(recipes, { season: 'summer' });
+  if (forSummer.some((r) => !r.season.includes('summer') && !r.season.includes('all'))) {
+    throw new Error('season=summer should list only summer or all-season recipes');
+  }
+  console.log(`  - ${forVata.length} recipes for Vata, ${forSummer.length} for summer`);
+
+  // The planner picks recipes as meal items, only at their meals, with scaled ingredients
+  const allFoods = withRecipes(foods, recipes);
+  const plan = buildPlan({ profile: { ...sampleProfile, dosha_result: 'Kapha' }, foods: allFoods, plan_type: 'weekly', targetCalories: 1800 });
+  const recipeItems = plan.days.flatMap((d) => d.meals.flatMap((m) => m.items
+    .filter((it) => it.recipe_id)
+    .map((it) => ({ meal: m.meal_type, it }))));
+  if (!recipeItems.length) throw new Error('Expected recipes in a weekly plan');
+  recipeItems.slice(0, 3).forEach(({ meal, it }) => console.log(`  - ${meal}: ${it.measure.text} (${it.ingredients.map((i) => `${i.grams}g ${i.name}`).join(', ')})`));
+  const misplaced = recipeItems.find(({ meal, it }) => !recipes.find((r) => r.recipe_id === it.recipe_id).meal_types.includes(meal));
+  if (misplaced) throw new Error(`${misplaced.it.name} served at ${misplaced.meal}`);
+  if (recipeItems.some(({ it }) => !it.ingredients.length || !it.method)) {
+    throw new Error('Recipe items should list their ingredients and method');
+  }
+
+  // Allergies and diets screen every ingredient
+  const { filteredOut } = scoreFoods({ profile: { ...sampleProfile, allergies: ['peanuts'], diet_pref: 'vegan' }, foods: allFoods });
+  const poha = filteredOut.find(({ f }) => f.name === 'Kanda Poha');
+  const curdRice = filteredOut.find(({ f }) => f.name === 'Curd Rice');
+  console.log(`  - Kanda Poha: ${poha?.detail}; Curd Rice: ${curdRice?.detail}`);
+  if (poha?.filter !== 'allergy' || !poha.detail.startsWith('Groundnut')) throw new Error('Peanut allergy should remove Kanda Poha');
+  if (curdRice?.filter !== 'diet') throw new Error('Vegan diet should remove Curd Rice');
+
+  // Viruddha pairs are checked through ingredients (milk in golden milk, fish in the curry)
+  const byName = (name) => allFoods.find((f) => f.name === name);
+  const conflicts = findIncompatibilities([byName('Golden Milk'), byName('Coconut Fish Curry')]);
+  if (!conflicts.some((c) => c.severity === 'avoid')) throw new Error('Golden milk with fish curry should conflict');
+
+  console.log('\n✓ Test 18 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 18 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 19: Grocery list
+console.log('Test 19: Grocery list aggregates plans by food type');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: Number(f.calories_100g),
+    carbs_100g: Number(f.carbs_100g),
+    protein_100g: Number(f.protein_100g),
+    fat_100g: Number(f.fat_100g)
+  }));
+  const foodsById = new Map(foods.map((f) => [f.food_id, f]));
+  const allFoods = withRecipes(foods, loadRecipesFromCSV());
+  const week = buildPlan({ profile: sampleProfile, foods: allFoods, plan_type: 'weekly', targetCalories: 1800 });
+  const day = buildPlan({ profile: sampleProfile, foods: allFoods, targetCalories: 1800 });
+
+  const list = buildGroceryList([week, day], { foodsById });
+  console.log(`  - ${list.days} days, ${list.item_count} foods in ${list.groups.length} groups`);
+  if (list.days !== 8) throw new Error(`Expected 8 days, got ${list.days}`);
+
+  // Every gram is counted once, with recipe items through their ingredients and spices
+  const planGrams = [week, day].flatMap((p) => p.days.flatMap((d) => d.meals.flatMap((m) => m.items)))
+    .flatMap((it) => (it.recipe_id ? [...it.ingredients, ...it.spices] : [it]))
+    .reduce((sum, it) => sum + it.grams, 0);
+  const listGrams = list.groups.flatMap((g) => g.items).reduce((sum, it) => sum + it.grams, 0);
+  if (Math.abs(planGrams - listGrams) > 1) throw new Error(`List has ${listGrams} g, plans ${planGrams} g`);
+  if (list.groups.flatMap((g) => g.items).some((it) => it.food_id.startsWith('r_'))) {
+    throw new Error('Recipes should be listed as their ingredients');
+  }
+  const misgrouped = list.groups.find((g) => g.items.some((it) => foodGroup(foodsById.get(it.food_id)) !== g.group));
+  if (misgrouped) throw new Error(`Wrong food in ${misgrouped.label}`);
+  list.groups.slice(0, 3).forEach((g) => console.log(`  - ${g.label}: ${g.items.slice(0, 3).map((it) => `${it.name} ${it.quantity.text}`).join(', ')}`));
+
+  // Purchase quantities
+  const milk = purchaseQuantity(foodsById.get('f_285'), 1100);
+  const eggs = purchaseQuantity(foodsById.get('f_289'), 260);
+  const rice = purchaseQuantity(foodsById.get('f_016'), 1130);
+  const cumin = purchaseQuantity(foodsById.get('f_249'), 6.4);
+  console.log(`  - milk ${milk.text}, eggs ${eggs.text}, rice ${rice.text}, cumin ${cumin.text}`);
+  if (milk.text !== '1.25 L' || eggs.text !== '6 pcs' || rice.text !== '1.25 kg' || cumin.text !== '10 g') {
+    throw new Error('Unexpected purchase quantities');
+  }
+
+  // Exports
+  const md = exportGroceryList(list, 'md').body;
+  const csv = exportGroceryList(list, 'csv').body.trim().split('\n');
+  const text = exportGroceryList(list, 'text').body;
+  if (!md.startsWith('# Shopping list (8 days)') || !md.includes('- [ ] ')) throw new Error('Markdown should be a checklist');
+  if (csv[0] !== 'group,food_id,name,grams,quantity,unit' || csv.length !== list.item_count + 1) {
+    throw new Error('CSV should have a header and one row per food');
+  }
+  if (!text.includes(list.groups[0].label.toUpperCase())) throw new Error('Text export should have group headings');
+
+  console.log('\n✓ Test 19 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 19 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 20: Pantry mode
+console.log('Test 20: Pantry mode prefers foods on hand and lists what is missing');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: Number(f.calories_100g),
+    carbs_100g: Number(f.carbs_100g),
+    protein_100g: Number(f.protein_100g),
+    fat_100g: Number(f.fat_100g)
+  }));
+  const inDays = (n) => new Date(Date.now() + n * 86400000).toISOString().slice(0, 10);
+  const pantry = [
+    { food_id: 'f_083', quantity: 300, expiry: inDays(1) },   // spinach, expiring
+    { food_id: 'f_083', quantity: 200, expiry: inDays(6) },
+    { food_id: 'f_035', quantity: 1000 },                     // mung dal, no expiry
+    { food_id: 'f_046', quantity: 30 },                       // tur dal, nearly out
+    { food_id: 'f_171', quantity: 400, expiry: inDays(-1) }   // bananas, gone off
+  ];
+
+  const stock = pantryStock(pantry);
+  if (stock.get('f_083')?.grams !== 500 || stock.get('f_083').expiry !== inDays(1)) {
+    throw new Error('Batches should add up and keep the earliest expiry');
+  }
+  if (stock.has('f_171')) throw new Error('Expired items should be left out');
+  const status = (id, day = 0) => pantryAdjustment({ food_id: id }, stock, day)?.status;
+  console.log(`  - spinach ${status('f_083')}, mung dal ${status('f_035')}, tur dal ${status('f_046')}, spinach on day 3 ${status('f_083', 2)}`);
+  if (status('f_083') !== 'expiring' || status('f_035') !== 'on_hand' || status('f_046') !== 'low_stock') {
+    throw new Error('Unexpected pantry statuses');
+  }
+  if (pantryAdjustment({ food_id: 'f_046' }, stock).bonus !== -PANTRY_WEIGHTS.lowStock) {
+    throw new Error('Foods about to run out should be ranked down');
+  }
+  if (status('f_083', 2) !== 'on_hand') throw new Error('By day 3 only the later spinach batch is left');
+
+  const profile = { ...sampleProfile, dosha_result: 'Pitta' };
+  const plan = buildPlan({ profile, foods, targetCalories: 1800, pantry });
+  const items = plan.meals.flatMap((m) => m.items);
+  const spinach = items.find((it) => it.food_id === 'f_083');
+  console.log(`  - on hand in plan: ${items.filter((it) => it.pantry).map((it) => `${it.name} [${it.pantry}]`).join(', ')}`);
+  if (spinach?.pantry !== 'expiring') throw new Error('Expiring spinach should be used');
+  if (items.some((it) => it.food_id === 'f_046')) throw new Error('Tur dal is nearly out and should be avoided');
+
+  // Missing: what the plan needs beyond the pantry
+  const needed = new Map();
+  items.forEach((it) => needed.set(it.food_id, (needed.get(it.food_id) || 0) + it.grams));
+  const { used, missing } = plan.pantry;
+  console.log(`  - uses ${used.map((u) => `${u.used_grams}g ${u.name}`).join(', ')}; missing ${missing.length} foods`);
+  const expectedMissing = [...needed].filter(([id, g]) => g > (stock.get(id)?.grams || 0)).map(([id]) => id).sort();
+  if (JSON.stringify(missing.map((m) => m.food_id).sort()) !== JSON.stringify(expectedMissing)) {
+    throw new Error('Missing list should hold every planned food not covered by the pantry');
+  }
+  if (missing.some((m) => !m.quantity?.text || m.short_grams <= 0)) throw new Error('Missing foods need a purchase quantity');
+  if (!used.some((u) => u.food_id === 'f_083')) throw new Error('Spinach should be listed as used from the pantry');
+
+  if (buildPlan({ profile, foods, targetCalories: 1800 }).pantry) throw new Error('Standard plans have no pantry section');
+
+  console.log('\n✓ Test 20 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 20 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 21: Budget
+console.log('Test 21: Budget-aware plans cost less and report their cost');
+console.log('================================');
+try {
+  const prices = loadFoodPrices();
+  const rice = { food_id: 'f_016' };
+  if (foodPrice(rice, 'south', prices) !== prices.get('f_016').south || foodPrice(rice, 'west', prices) !== prices.get('f_016').national) {
+    throw new Error('Regional prices should fall back to the national price');
+  }
+  if (foodPrice({ food_id: 'f_999' }, 'national', prices) !== null) throw new Error('Unknown foods have no price');
+
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: Number(f.calories_100g),
+    carbs_100g: Number(f.carbs_100g),
+    protein_100g: Number(f.protein_100g),
+    fat_100g: Number(f.fat_100g)
+  }));
+  const allFoods = withRecipes(foods, loadRecipesFromCSV());
+  const tadka = allFoods.find((f) => f.recipe_id === 'r_001');
+  const parts = [...tadka.ingredients, ...tadka.spices];
+  const expected = parts.reduce((sum, p) => sum + foodPrice(p.food, 'national', prices) * p.grams, 0) /
+    parts.reduce((sum, p) => sum + p.grams, 0);
+  if (Math.abs(foodPrice(tadka, 'national', prices) - expected) > 0.01) throw new Error('Recipes are priced through their ingredients');
+
+  const almonds = budgetAdjustment(prices.get('f_223').national, 100, { portionGrams: 120, minGrams: 50 });
+  const wheat = budgetAdjustment(prices.get('f_021').national, 100, { portionGrams: 120, minGrams: 50 });
+  console.log(`  - at 100/day: almonds ${JSON.stringify(almonds)}, whole wheat ${JSON.stringify(wheat)}`);
+  if (!almonds || almonds.penalty <= 0 || almonds.maxGrams !== 50 || wheat) {
+    throw new Error('Only foods over their share of the budget should be penalised');
+  }
+
+  const profile = { ...sampleProfile, dosha_result: 'Vata' };
+  const open = buildPlan({ profile, foods: allFoods, plan_type: 'weekly', targetCalories: 2000 });
+  const budgeted = buildPlan({ profile, foods: allFoods, plan_type: 'weekly', targetCalories: 2000, budgetPerDay: 120 });
+  console.log(`  - per day: ${open.estimated_cost.per_day} without a budget, ${budgeted.estimated_cost.per_day} on 120`);
+  if (budgeted.estimated_cost.per_day >= open.estimated_cost.per_day || budgeted.estimated_cost.per_day > 120) {
+    throw new Error('A budget should bring the daily cost down within it');
+  }
+  if (JSON.stringify(budgeted.estimated_cost.days_over_budget) !== JSON.stringify(budgeted.days.filter((d) => d.cost > 120).map((d) => d.day))) {
+    throw new Error('days_over_budget should list the days costing more than the budget');
+  }
+  const day = budgeted.days[0];
+  const itemTotal = day.meals.flatMap((m) => m.items).reduce((sum, it) => sum + it.cost, 0);
+  if (Math.abs(itemTotal - day.cost) > 0.05) throw new Error('Day cost should add up its items');
+  if (Math.abs(budgeted.days.reduce((sum, d) => sum + d.cost, 0) - budgeted.estimated_cost.total) > 0.05) {
+    throw new Error('Plan cost should add up its days');
+  }
+  const calories = budgeted.days.map((d) => d.total_calories);
+  if (calories.some((c) => Math.abs(c - 2000) > 200)) throw new Error('Budget plans should still meet the calorie target');
+
+  console.log('\n✓ Test 21 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 21 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 22: Ritucharya
+console.log('Test 22: Six ritus, ritu-sandhi and hemisphere-aware seasons');
+console.log('================================');
+try {
+  const ritu = (date, options = {}) => getRitu({ date, ...options });
+  const expected = { '2026-02-01': 'shishira', '2026-04-01': 'vasanta', '2026-06-01': 'grishma',
+    '2026-08-01': 'varsha', '2026-10-01': 'sharad', '2026-12-01': 'hemanta', '2026-01-10': 'hemanta' };
+  Object.entries(expected).forEach(([date, id]) => {
+    if (ritu(date).id !== id) throw new Error(`${date} should be ${id}, got ${ritu(date).id}`);
+  });
+  const winter = ritu('2026-12-31');
+  console.log(`  - 31 Dec: ${winter.name} (${winter.english}), ${winter.starts} to ${winter.ends}`);
+  if (winter.starts !== '2026-11-15' || winter.ends !== '2027-01-14' || winter.season !== 'winter') {
+    throw new Error('Hemanta runs from 15 November to 14 January');
+  }
+
+  // Sandhi: the week either side of a boundary, weighting both seasons
+  const before = ritu('2026-03-10');
+  const after = ritu('2026-03-17');
+  console.log(`  - 10 Mar: ${JSON.stringify(before.sandhi)} ${JSON.stringify(seasonWeights(before))}`);
+  if (before.id !== 'shishira' || before.sandhi?.to !== 'vasanta' || after.sandhi?.from !== 'shishira' || ritu('2026-03-25').sandhi) {
+    throw new Error('Ritu-sandhi should cover a week each side of the boundary');
+  }
+  const w1 = seasonWeights(before);
+  const w2 = seasonWeights(after);
+  if (!(w1.winter > w1.spring && w2.spring > w2.winter) || Math.abs(w1.winter + w1.spring - 1) > 0.01) {
+    throw new Error('Sandhi weights should move from the outgoing season to the incoming one');
+  }
+
+  // Southern hemisphere: six months on, by hemisphere or latitude
+  if (ritu('2026-07-01', { latitude: -33.9 }).id !== 'hemanta' || ritu('2026-01-01', { hemisphere: 'south' }).id !== 'grishma') {
+    throw new Error('Southern seasons should run six months later');
+  }
+  if (normaliseSeason('Vasanta') !== 'spring' || normaliseSeason('monsoon') !== 'monsoon' || normaliseSeason('rainy') !== null) {
+    throw new Error('Ritu names should map to food seasons');
+  }
+
+  // The planner scores the season of the date and hemisphere it is given
+  const plan = buildPlan({ profile: { ...sampleProfile, location: { hemisphere: 'south' } }, foods: sampleFoods, date: '2026-07-01' });
+  console.log(`  - plan for 1 Jul, southern hemisphere: ${plan.ritu.name}, season ${plan.season}`);
+  if (plan.ritu.id !== 'hemanta' || plan.season !== 'winter') throw new Error('Plan season should follow date and location');
+  const { scored } = scoreFoods({ profile: sampleProfile, foods: sampleFoods, date: '2026-03-10' });
+  const seasonRules = new Set(scored.flatMap((s) => s.applied.filter((r) => r.category === 'season').map((r) => r.description)));
+  if (!seasonRules.has('Not ideal for winter') || !seasonRules.has('Not ideal for spring')) {
+    throw new Error('During a sandhi both seasons should be scored');
+  }
+
+  console.log('\n✓ Test 22 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 22 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 23: Plan dates
+console.log('Test 23: Plans for a given date and timezone');
+console.log('================================');
+try {
+  const instant = new Date('2026-03-09T20:00:00Z');
+  console.log(`  - 20:00 UTC on 9 Mar is ${localDate('Asia/Kolkata', instant)} ${localHour('Asia/Kolkata', instant)}h in Kolkata`);
+  if (localDate('Asia/Kolkata', instant) !== '2026-03-10' || localHour('Asia/Kolkata', instant) !== 1 || localDate('UTC', instant) !== '2026-03-09') {
+    throw new Error('Timezones should decide the local date and hour');
+  }
+  if (addDays('2026-02-27', 2) !== '2026-03-01' || weekdayOf('2026-03-15') !== 'Sunday') throw new Error('Date arithmetic is off');
+
+  // A week starting 10 March runs from Shishira into Vasanta on the 15th
+  const plan = buildPlan({ profile: sampleProfile, foods: sampleFoods, plan_type: 'weekly', date: '2026-03-10' });
+  console.log(`  - ${plan.days.map((d) => `${d.date} ${d.weekday.slice(0, 3)} ${d.ritu}`).join(', ')}`);
+  if (plan.days[0].date !== '2026-03-10' || plan.days[0].weekday !== 'Tuesday' || plan.days[6].date !== '2026-03-16') {
+    throw new Error('Days should carry their dates and weekdays');
+  }
+  if (plan.days[4].ritu !== 'shishira' || plan.days[5].ritu !== 'vasanta' || plan.ritu.id !== 'shishira') {
+    throw new Error('Each day should follow the ritu of its date');
+  }
+  const again = buildPlan({ profile: sampleProfile, foods: sampleFoods, plan_type: 'weekly', date: '2026-03-10' });
+  if (JSON.stringify(again.days) !== JSON.stringify(plan.days)) throw new Error('The same date should give the same plan');
+  if (buildPlan({ profile: sampleProfile, foods: sampleFoods, date: '2026-08-01' }).season !== 'monsoon') {
+    throw new Error('A plan dated in August should be scored for the monsoon');
+  }
+
+  // Pantry expiry is counted from the plan's first day
+  const pantry = [{ food_id: 'f_035', quantity: 500, expiry: '2026-03-12' }];
+  if (!pantryStock(pantry, '2026-03-10').has('f_035') || pantryStock(pantry, '2026-03-20').has('f_035')) {
+    throw new Error('Pantry items should expire relative to the plan date');
+  }
+
+  console.log('\n✓ Test 23 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 23 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 24: One variety of a food per meal
+console.log('Test 24: No two varieties of a food in one meal');
+console.log('================================');
+try {
+  const apple = (food_id, name, calories_100g) => ({
+    food_id, name, dosha_impact: 'Vata,Pitta', tastes: 'sweet, astringent', qualities: 'light',
+    energy: 'cooling', season: 'all', calories_100g, carbs_100g: 13.8, protein_100g: 0.3, fat_100g: 0.2, type: 'fruit'
+  });
+  const apples = [apple('e_150', 'Apple, small', 52), apple('e_151', 'Apple, small, Kashmir', 55), apple('e_152', 'Apple, big', 57)];
+  const foods = [...sampleFoods.filter((f) => f.type !== 'fruit'), ...apples];
+  const plan = buildPlan({ profile: sampleProfile, foods, plan_type: 'weekly', targetCalories: 2000, date: '2026-04-10' });
+  const doubled = plan.days.flatMap((day) => day.meals
+    .map((meal) => meal.items.map((item) => item.name.split(',')[0]))
+    .filter((names) => new Set(names).size !== names.length));
+  const appleMeals = plan.days.flatMap((day) => day.meals).filter((meal) => meal.items.some((item) => item.name.startsWith('Apple')));
+  console.log(`  - ${appleMeals.length} meals with an apple, ${doubled.length} with two varieties of one food`);
+  if (!appleMeals.length || doubled.length) throw new Error(`Meals repeat a food: ${JSON.stringify(doubled)}`);
+
+  console.log('\n✓ Test 24 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 24 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 25: Nutrient limits on the real food list
+console.log('Test 25: Sugar, sodium and potassium limits on foods_mapped.csv');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: Number(f.calories_100g),
+    carbs_100g: Number(f.carbs_100g),
+    protein_100g: Number(f.protein_100g),
+    fat_100g: Number(f.fat_100g)
+  }));
+  const nutrients = loadFoodNutrients();
+  const unlisted = foods.filter((f) => !nutrients.has(f.food_id)).map((f) => f.name);
+  if (unlisted.length) throw new Error(`No nutrients for ${unlisted.join(', ')}`);
+
+  // Each nutrient rule fires on a real food, and the potassium limit spares spices
+  const ruleIds = (name, condition) => findContraindications(foods.find((f) => f.name === name), [condition]).map((c) => c.rule_id);
+  const expected = [
+    ['Raisins, dried, black', 'diabetes', 2],
+    ['Cheese', 'hypertension', 8],
+    ['Beet greens', 'hypertension', 9],
+    ['Rajmah, red', 'kidney_disease', 28]
+  ];
+  expected.forEach(([name, condition, ruleId]) => {
+    console.log(`  - ${name} (${condition}): rules ${ruleIds(name, condition).join(', ')}`);
+    if (!ruleIds(name, condition).includes(ruleId)) throw new Error(`${name} should trigger rule ${ruleId} for ${condition}`);
+  });
+  if (ruleIds('Cumin seed', 'kidney_disease').includes(28)) throw new Error('Spices should not hit the potassium limit');
+
+  // No planned food breaks a limit it has data for
+  const plan = buildPlan({
+    profile: { ...sampleProfile, medical_conditions: ['Diabetes', 'High Blood Pressure', 'CKD'] },
+    foods,
+    plan_type: 'weekly',
+    targetCalories: 1800,
+    date: '2026-04-10'
+  });
+  const items = plan.days.flatMap((d) => d.meals.flatMap((m) => m.items));
+  const over = items.filter((it) => {
+    const n = nutrients.get(it.food_id);
+    const spice = foods.find((f) => f.food_id === it.food_id)?.source_id.startsWith('G');
+    return n.sugar_100g >= 15 || (!spice && (n.sodium_mg_100g >= 400 || n.potassium_mg_100g >= 300));
+  });
+  console.log(`  - weekly plan: ${items.length} items, ${over.length} over a limit`);
+  if (!items.length || over.length) throw new Error(`Over a limit: ${[...new Set(over.map((it) => it.name))].join(', ')}`);
+  const fired = (ruleId) => plan.contraindications.find((c) => c.rule_id === ruleId)?.food_count || 0;
+  console.log(`  - removed: ${fired(2)} for sugar, ${fired(8)} for sodium, ${fired(28)} for potassium`);
+  if (!fired(2) || !fired(8) || !fired(28)) throw new Error('The nutrient rules should remove foods');
+
+  console.log('\n✓ Test 25 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 25 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 26: Pantry summary follows the day-by-day drawdown
+console.log('Test 26: Pantry summary counts only stock still good on the day it is eaten');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: Number(f.calories_100g),
+    carbs_100g: Number(f.carbs_100g),
+    protein_100g: Number(f.protein_100g),
+    fat_100g: Number(f.fat_100g)
+  }));
+  const pantry = [
+    { food_id: 'f_083', quantity: 500, expiry: '2026-05-02' },  // spinach, good for two days
+    { food_id: 'f_035', quantity: 150 }                         // mung dal, no expiry
+  ];
+  const meal = (food_id, grams) => [{ items: [{ food_id, name: food_id, grams }] }];
+  const stock = pantryStock(pantry, '2026-05-01');
+  const usage = new Map();
+  consumeStock(stock, meal('f_035', 100), 0, usage);
+  consumeStock(stock, meal('f_083', 100), 3, usage);  // the spinach has gone off by day 4
+  consumeStock(stock, meal('f_035', 100), 4, usage);
+  const { used, missing, expiring_unused } = pantrySummary(usage, stock, foods, 6);
+  console.log(`  - used ${JSON.stringify(used)}`);
+  console.log(`  - missing ${missing.map((m) => `${m.short_grams}g ${m.food_id}`).join(', ')}`);
+  const spinach = missing.find((m) => m.food_id === 'f_083');
+  if (!spinach || spinach.short_grams !== 100 || spinach.on_hand_grams !== 0) throw new Error('Expired spinach should not cover day 4');
+  if (used.some((u) => u.food_id === 'f_083')) throw new Error('No spinach was drawn from the pantry');
+  const dal = used.find((u) => u.food_id === 'f_035');
+  if (dal?.used_grams !== 150 || dal.left_grams !== 0 || missing.find((m) => m.food_id === 'f_035')?.short_grams !== 50) {
+    throw new Error('Mung dal should run out part way through day 5');
+  }
+  if (expiring_unused[0]?.food_id !== 'f_083' || expiring_unused[0].left_grams !== 500) {
+    throw new Error('The spinach should be reported as going off unused');
+  }
+
+  // A weekly plan: every food's needs are split between pantry and shopping list
+  const plan = buildPlan({
+    profile: { ...sampleProfile, dosha_result: 'Pitta' },
+    foods,
+    plan_type: 'weekly',
+    targetCalories: 1800,
+    date: '2026-05-01',
+    pantry
+  });
+  const needed = new Map();
+  plan.days.forEach((d) => d.meals.forEach((m) => m.items.forEach((it) => needed.set(it.food_id, (needed.get(it.food_id) || 0) + it.grams))));
+  const covered = (id) => (plan.pantry.used.find((u) => u.food_id === id)?.used_grams || 0) +
+    (plan.pantry.missing.find((m) => m.food_id === id)?.short_grams || 0);
+  const unbalanced = [...needed].filter(([id, grams]) => Math.abs(covered(id) - grams) > 0.5);
+  if (unbalanced.length) throw new Error(`Used plus missing should equal the weekly need: ${unbalanced.map(([id]) => id).join(', ')}`);
+  const usedSpinach = plan.pantry.used.find((u) => u.food_id === 'f_083')?.used_grams || 0;
+  if (usedSpinach > 500) throw new Error('The plan cannot use more spinach than was on hand');
+
+  console.log('\n✓ Test 26 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 26 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 27: Editing a plan saved before multi-day plans
+console.log('Test 27: Swaps and locks on a plan with only top-level meals');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const plan = { profile_snapshot: sampleProfile, date_generated: '2025-06-01', ...buildPlan({ profile: sampleProfile, foods, targetCalories: 2000 }) };
+  delete plan.days;
+  delete plan.weekly_totals;
+  const slot = { meal_index: 1, item_index: 0 };
+
+  const found = findSlot(plan, slot);
+  if (!found || found.item !== plan.meals[1].items[0]) throw new Error('Day 1 should be read from the top-level meals');
+  if (findSlot(plan, { ...slot, day: 2 })) throw new Error('A legacy plan has no day 2');
+
+  const { alternatives } = swapAlternatives(plan, slot, { foods });
+  console.log(`  - ${found.item.name}: ${alternatives.length} alternatives`);
+  if (!alternatives.length) throw new Error('Expected alternatives for a legacy plan');
+  const { changes } = applySwap(plan, slot, alternatives[0].food_id, { foods });
+  if (changes.meals[1].items[0].food_id !== alternatives[0].food_id || changes.days?.length !== 1) {
+    throw new Error('The swap should update the top-level meals');
+  }
+
+  const locks = locksFromPlan(plan, [{ day: 1, meal_index: 0 }]);
+  if (locks?.[0]?.meal_type !== plan.meals[0].meal_type) throw new Error('Legacy meals should be pinnable');
+
+  console.log('\n✓ Test 27 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 27 FAILED:', error.message);
+  process.exit(1);
+}
+
+// Test 28: Regenerating around pins that are no longer valid
+console.log('Test 28: Pins on foods that left the catalogue or became allergens are request errors');
+console.log('================================');
+try {
+  const foods = readDataCSV('foods_mapped.csv').map((f) => ({
+    ...f,
+    calories_100g: parseFloat(f.calories_100g) || 0,
+    carbs_100g: parseFloat(f.carbs_100g) || 0,
+    protein_100g: parseFloat(f.protein_100g) || 0,
+    fat_100g: parseFloat(f.fat_100g) || 0
+  }));
+  const plan = buildPlan({ profile: sampleProfile, foods, targetCalories: 2000 });
+  const locks = locksFromPlan(plan, [{ day: 1, meal_index: 1, item_index: 0 }]);
+  const pinned = plan.meals[1].items[0];
+  const failure = (options) => {
+    try {
+      buildPlan({ profile: sampleProfile, foods, targetCalories: 2000, locks, ...options });
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  const removed = failure({ foods: foods.filter((f) => f.food_id !== pinned.food_id) });
+  const allergic = failure({ profile: { ...sampleProfile, allergies: [pinned.name.split(',')[0]] } });
+  console.log(`  - removed: ${removed?.message}; allergic: ${allergic?.message}`);
+  if (removed?.code !== 'INVALID_LOCK' || !removed.message.includes(pinned.food_id)) {
+    throw new Error('A pinned food missing from the catalogue should be an INVALID_LOCK error');
+  }
+  if (allergic?.code !== 'INVALID_LOCK') throw new Error('A pinned food that is now an allergen should be an INVALID_LOCK error');
+  if (failure({})) throw new Error('Valid pins should regenerate');
+
+  console.log('\n✓ Test 28 PASSED\n');
+} catch (error) {
+  console.error('✗ Test 28 FAILED:', error.message);
+  process.exit(1);
+}
+
 console.log('ALL TESTS PASSED ✓');
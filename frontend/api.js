@@ -1,7 +1,8 @@
 // Simple frontend API client
 const API_BASE = import.meta.env.VITE_API_URL || localStorage.getItem('apiBase') || 'http://localhost:3000';
 async function api(path, { method = 'GET', body } = {}) {
-  const headers = { 'Content-Type': 'application/json' };
+  // Advisory text comes back in the language picked in the UI
+  const headers = { 'Content-Type': 'application/json', 'Accept-Language': localStorage.getItem('lang') || 'en' };
   
   try {
     const res = await fetch(API_BASE + path, {
@@ -41,8 +42,17 @@ export async function listFoods(query, page = 1, limit = 30) {
   params.append('limit', limit);
   return api('/foods?' + params.toString());
 }
+export async function checkCompatibility(foodIds) {
+  return api('/foods/compatibility', { method: 'POST', body: { food_ids: foodIds } });
+}
 export async function generatePlan(payload) { return api('/dietplan/generate', { method: 'POST', body: payload }); }
 export async function listPlans() { return api('/dietplan/list'); }
+// Grocery list for a saved plan as a 'text', 'csv' or 'md' export
+export async function getGroceryList(planId, format = 'text') {
+  const res = await fetch(`${API_BASE}/dietplan/${planId}/grocery-list?format=${format}`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
 export async function getAdvisory(payload) { return api('/api/advisory/generate', { method: 'POST', body: payload }); }
 export async function getQuickTip(dosha) { return api('/api/advisory/quick?dosha=' + (dosha || 'Vata')); }
 export async function getMedicineAlternative(medicine) { 
@@ -59,4 +69,8 @@ const AI_API_BASE = import.meta.env.VITE_AI_API_URL || localStorage.getItem('aiA
 export async function calculatePrakriti(answers) { 
   return api('/quiz/prakriti', { method: 'POST', body: { answers } }); 
 }
-window.AyurAPI = { health, register, login, listFoods, generatePlan, listPlans, getAdvisory, getQuickTip, getMedicineAlternative, calculatePrakriti };
+export async function getVikritiQuestions() { return api('/quiz/vikriti'); }
+export async function calculateVikriti(answers) {
+  return api('/quiz/vikriti', { method: 'POST', body: { answers } });
+}
+window.AyurAPI = { health, register, login, listFoods, checkCompatibility, generatePlan, listPlans, getGroceryList, getAdvisory, getQuickTip, getMedicineAlternative, calculatePrakriti, getVikritiQuestions, calculateVikriti };
@@ -3,11 +3,18 @@
 
 import * as AyurAPI from './api.js';
 
-export async function getAdvisory(profile = {}) {
+// step 0 is the day's advice; each further step moves on to the next tips.
+// feeling ('fine', 'stressed', 'bloated', 'tired') puts the tips for it first
+export async function getAdvisory(profile = {}, step = 0, feeling = '') {
   try {
+    const now = new Date();
     const context = {
-      hour: new Date().getHours(),
-      month: new Date().getMonth() + 1
+      hour: now.getHours(),
+      // Local calendar date, for the ritu (season)
+      date: [now.getFullYear(), now.getMonth() + 1, now.getDate()].map((n) => String(n).padStart(2, '0')).join('-'),
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      step,
+      ...(feeling && { feeling })
     };
     
     const response = await AyurAPI.getAdvisory({ profile, context });
@@ -41,17 +48,25 @@ function getQuickTipFallback(dosha) {
   };
 }
 
-export async function renderAdvisory(container, profile) {
+// Why a tip was chosen, from its reasons: "Pitta · stressed · diabetes"
+function describeReasons(reasons = []) {
+  return reasons.map(({ match, value }) => {
+    if (match === 'plans') return value === 'diversity' ? 'your recent plans' : 'your plan pattern';
+    return String(value).replace(/_/g, ' ');
+  }).join(' · ');
+}
+
+export async function renderAdvisory(container, profile, step = 0, feeling = '') {
   container.innerHTML = '<div class="text-sm text-center py-4">Loading AI recommendations...</div>';
   
   try {
-    const advisory = await getAdvisory(profile);
+    const advisory = await getAdvisory(profile, step, feeling);
     
     let html = `
       <div class="flex flex-col gap-4">
         <div class="text-xs opacity-70 flex justify-between">
           <span>🧘 ${advisory.dosha_target || advisory.profile_summary?.dosha || 'Balanced'} Focus</span>
-          <span>🌿 ${advisory.season || 'Current'} Season</span>
+          <span>🌿 ${advisory.ritu ? `${advisory.ritu.name} (${advisory.ritu.english})` : `${advisory.season || 'Current'} Season`}</span>
           <span>🕐 ${advisory.timeSlot || 'Now'}</span>
         </div>
     `;
@@ -66,6 +81,7 @@ export async function renderAdvisory(container, profile) {
               <div class="flex-1">
                 <h4 class="text-sm font-bold ${priorityColor}">${rec.category}</h4>
                 <p class="text-sm mt-1">${rec.message}</p>
+                ${rec.reasons?.length ? `<p class="text-xs opacity-60 mt-1">For: ${describeReasons(rec.reasons)}</p>` : ''}
               </div>
             </div>
           </div>
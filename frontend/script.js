@@ -418,6 +418,11 @@ function initI18n() {
 
 document.addEventListener('DOMContentLoaded', initI18n);
 
+// Household measure with the raw weight, e.g. "1½ katori cooked white rice · 50g"
+function portionLabel(item) {
+  return item.measure?.text ? `${item.measure.text} · ${item.portion}` : item.portion;
+}
+
 // Professional PDF Generation Function
 function generateProfessionalPDF(plan, profile) {
   const { jsPDF } = window.jspdf;
@@ -624,7 +629,7 @@ function generateProfessionalPDF(plan, profile) {
 
       doc.setFont('helvetica', 'normal');
       doc.setTextColor(100, 100, 100);
-      doc.text(`(${item.portion})`, margin + 7 + doc.getTextWidth(item.name) + 2, yPos + 2);
+      doc.text(`(${portionLabel(item)})`, margin + 7 + doc.getTextWidth(item.name) + 2, yPos + 2);
 
       // Macros
       doc.setFontSize(8);
@@ -726,12 +731,22 @@ const advisoryModal = createModal('inferflowModal', '🧠 Smart Advisory',
     <div class='bg-gradient-to-r from-primary/10 to-secondary/10 rounded-xl p-4 border border-primary/20'>
       <p class='text-sm leading-relaxed'>Get personalized Ayurvedic insights powered by AI to support your wellness journey.</p>
     </div>
+    <label class='flex items-center gap-3 text-sm'>
+      <span class='font-semibold'>How are you feeling?</span>
+      <select id='advisoryFeeling' class='flex-1 p-2 rounded-lg border-2 border-border-light dark:border-border-dark bg-background-light dark:bg-background-dark focus:border-primary focus:ring-2 focus:ring-primary/20 transition-all'>
+        <option value=''>Rather not say</option>
+        <option value='fine'>😊 Fine</option>
+        <option value='stressed'>😣 Stressed</option>
+        <option value='bloated'>🫃 Bloated</option>
+        <option value='tired'>😴 Tired</option>
+      </select>
+    </label>
     <div id='advisoryContent' class='min-h-[200px]'></div>
   </div>`,
   `<div class='flex gap-2'>
     <button id='refreshAdvisory' class='px-5 py-3 rounded-xl bg-gradient-to-r from-primary to-secondary text-white font-semibold hover:shadow-lg hover:scale-[1.02] transition-all duration-300 flex items-center gap-2'>
       <span>🔄</span>
-      <span>Get New Tip</span>
+      <span>Next Tip</span>
     </button>
   </div>`
 );
@@ -896,6 +911,18 @@ const planModal = createModal('planModal', '✨ Generate Diet Plan',
             <label class='block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300'>Weight (kg)</label>
             <input id='planWeight' type='number' value='70' min='20' max='300' class='w-full p-3 rounded-lg border-2 border-border-light dark:border-border-dark bg-background-light dark:bg-background-dark focus:border-primary focus:ring-2 focus:ring-primary/20 transition-all'/>
           </div>
+          <div class='col-span-2'>
+            <label class='block text-sm font-medium mb-2 text-gray-700 dark:text-gray-300'>Diet</label>
+            <select id='planDiet' class='w-full p-3 rounded-lg border-2 border-border-light dark:border-border-dark bg-background-light dark:bg-background-dark focus:border-primary focus:ring-2 focus:ring-primary/20 transition-all'>
+              <option value='' selected>No restriction</option>
+              <option value='vegetarian'>Vegetarian</option>
+              <option value='jain'>Jain (no roots, onion or garlic)</option>
+              <option value='vegan'>Vegan</option>
+              <option value='eggetarian'>Eggetarian</option>
+              <option value='sattvic'>Sattvic</option>
+              <option value='non_vegetarian'>Non-vegetarian</option>
+            </select>
+          </div>
         </div>
       </div>
       
@@ -1824,8 +1851,12 @@ window.logoutCommunity = logoutCommunity;
 
 // ===== Modal Handlers =====
 
+// Tips are seeded by the backend; the refresh button steps through them
+let advisoryStep = 0;
+
 function openAdvisory(profile = {}) {
-  InferFlow.renderAdvisory(document.getElementById('advisoryContent'), profile);
+  advisoryStep = 0;
+  InferFlow.renderAdvisory(document.getElementById('advisoryContent'), profile, 0, document.getElementById('advisoryFeeling').value);
   advisoryModal.classList.remove('hidden');
 }
 
@@ -2426,6 +2457,11 @@ function loadSavedProfileIntoPlanForm() {
     const weightInput = document.getElementById('planWeight');
     if (weightInput) weightInput.value = savedProfile.weight_kg;
   }
+
+  if (savedProfile.diet_pref) {
+    const dietSelect = document.getElementById('planDiet');
+    if (dietSelect) dietSelect.value = savedProfile.diet_pref;
+  }
   
   log('Loaded saved profile into plan form');
 }
@@ -2436,6 +2472,7 @@ document.getElementById('generatePlanBtn').addEventListener('click', async () =>
   const goals = Array.from(goalCheckboxes).map(cb => cb.value);
   const age = parseInt(document.getElementById('planAge').value);
   const weight = parseInt(document.getElementById('planWeight').value);
+  const dietPref = document.getElementById('planDiet').value;
 
   if (goals.length === 0) {
     showNotification('Please select at least one health goal', 'warning');
@@ -2450,6 +2487,8 @@ document.getElementById('generatePlanBtn').addEventListener('click', async () =>
     weight_kg: weight,
     activity_level: 'moderate',
     health_goals: goals,
+    // No restriction unless the user picks one (or has one saved)
+    ...(dietPref && { diet_pref: dietPref }),
     preferences: { liked: [], disliked: [] },
     allergies: []
   };
@@ -2468,7 +2507,7 @@ document.getElementById('generatePlanBtn').addEventListener('click', async () =>
   `;
 
   try {
-    const plan = await AyurAPI.generatePlan({ profile, plan_type: 'daily' });
+    const plan = await AyurAPI.generatePlan({ profile, plan_type: 'daily', timezone: Intl.DateTimeFormat().resolvedOptions().timeZone });
 
     document.getElementById('planForm').classList.add('hidden');
     const resultDiv = document.getElementById('planResult');
@@ -2603,7 +2642,7 @@ document.getElementById('generatePlanBtn').addEventListener('click', async () =>
                   <li class='p-3 rounded-lg border border-border-light dark:border-border-dark bg-white/50 dark:bg-white/5'>
                     <div class='flex items-start justify-between gap-3'>
                       <div class='flex-1'>
-                        <div class='font-semibold text-sm'>${item.name} <span class='text-xs font-normal text-gray-600 dark:text-gray-400'>(${item.portion})</span></div>
+                        <div class='font-semibold text-sm'>${item.name} <span class='text-xs font-normal text-gray-600 dark:text-gray-400'>(${portionLabel(item)})</span></div>
                         ${item.why ? `<div class='text-xs text-ayur-earth mt-1'>${item.why}</div>` : ''}
                       </div>
                       <div class='text-right text-xs text-gray-600 dark:text-gray-400'>
@@ -2625,6 +2664,9 @@ document.getElementById('generatePlanBtn').addEventListener('click', async () =>
           <button id='regeneratePlan' class='flex-1 px-6 py-3 border-2 border-primary text-primary rounded-xl font-semibold hover:bg-primary hover:text-white transition-all duration-300'>
             🔄 Regenerate
           </button>
+          <button id='shoppingList' class='flex-1 px-6 py-3 border-2 border-primary text-primary rounded-xl font-semibold hover:bg-primary hover:text-white transition-all duration-300'>
+            🛒 Shopping list
+          </button>
           <button id='downloadPlan' class='flex-1 px-6 py-3 bg-gradient-to-r from-primary to-secondary text-white rounded-xl font-semibold hover:shadow-lg hover:scale-[1.02] transition-all duration-300'>
             📄 Download PDF
           </button>
@@ -2649,13 +2691,27 @@ document.getElementById('generatePlanBtn').addEventListener('click', async () =>
             <p class='text-sm text-gray-600 dark:text-gray-400'>Re-evaluating foods and balancing doshas...</p>
           </div>
         </div>`;
-      const newPlan = await AyurAPI.generatePlan({ profile, plan_type: 'daily' });
+      const newPlan = await AyurAPI.generatePlan({ profile, plan_type: 'daily', timezone: Intl.DateTimeFormat().resolvedOptions().timeZone });
       // naive rerender by resetting variables then triggering the same code path
       plan.meals = newPlan.meals; plan.total_calories = newPlan.total_calories; plan.target_calories = newPlan.target_calories; plan.season = newPlan.season; plan.macro_targets = newPlan.macro_targets;
       // trigger click again to rebuild UI
       document.getElementById('backToPlanForm').click();
       setTimeout(() => document.getElementById('generatePlanBtn').click(), 50);
     });
+    document.getElementById('shoppingList').addEventListener('click', async () => {
+      try {
+        const text = await AyurAPI.getGroceryList(plan.id, 'text');
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `shopping-list-${new Date().toISOString().slice(0, 10)}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+        showNotification('Shopping list downloaded!', 'success');
+      } catch (error) {
+        showNotification('Failed to build shopping list: ' + error.message, 'error');
+      }
+    });
     document.getElementById('downloadPlan').addEventListener('click', () => {
       generateProfessionalPDF(plan, profile);
     });
@@ -3189,8 +3245,17 @@ document.getElementById('btnAdvisory').addEventListener('click', () => {
 
 document.getElementById('refreshAdvisory').addEventListener('click', () => {
   const storedProfile = JSON.parse(localStorage.getItem('profile') || '{}');
-  InferFlow.renderAdvisory(document.getElementById('advisoryContent'), storedProfile);
-  log('Refreshed advisory');
+  advisoryStep += 1;
+  InferFlow.renderAdvisory(document.getElementById('advisoryContent'), storedProfile, advisoryStep, document.getElementById('advisoryFeeling').value);
+  log('Moved to next advisory tip');
+});
+
+// A new feeling re-ranks the tips, starting again from the day's advice
+document.getElementById('advisoryFeeling').addEventListener('change', (e) => {
+  const storedProfile = JSON.parse(localStorage.getItem('profile') || '{}');
+  advisoryStep = 0;
+  InferFlow.renderAdvisory(document.getElementById('advisoryContent'), storedProfile, 0, e.target.value);
+  log(`Advisory feeling: ${e.target.value || 'not given'}`);
 });
 
 // Profile quick-set helper for demo